@@ -0,0 +1,397 @@
+/**
+ * A class declaration, with the instance type and the parameters of its constructor.
+ */
+type Class<T = any, A extends any[] = any[]> = new (...args: A) => T;
+
+/**
+ * Transforms a union into an intersection: `A | B` becomes `A & B`.
+ */
+type UnionToIntersection<U> = (U extends any ? (arg: U) => void : never) extends (
+  arg: infer I,
+) => void
+  ? I
+  : never;
+
+declare namespace enhance {
+  type EnhancementMode = 'aurelia1' | 'aurelia2';
+
+  type ResourceType = 'element' | 'attribute' | 'route';
+
+  type EnhancementStrategy = 'before' | 'after' | 'around' | 'replace';
+  type EnhancementStrategySetting =
+    | EnhancementStrategy
+    | Record<string, EnhancementStrategy>;
+
+  type EnhancementResultPolicy = 'target' | 'and';
+  type EnhancementResultPolicySetting =
+    | EnhancementResultPolicy
+    | Record<string, EnhancementResultPolicy>;
+
+  type EnhancementErrorPolicy = 'propagate' | 'swallow-and-continue' | 'delegate';
+  type EnhancementErrorPolicySetting =
+    | EnhancementErrorPolicy
+    | Record<string, EnhancementErrorPolicy>;
+
+  /**
+   * A class that can enhance a target: its constructor receives the target instance,
+   * then the instances of the enhancements it requires, and then its dependencies.
+   */
+  interface EnhancementClass<T = any, E = any> {
+    new (target: T, ...deps: any[]): E;
+    inject?: any[] | ((Cls: any) => any[]);
+    requires?: EnhancementClass[];
+    strategy?: EnhancementStrategySetting;
+    resultPolicy?: EnhancementResultPolicySetting;
+    errorPolicy?: EnhancementErrorPolicySetting;
+    defaultOptions?: Record<string, any>;
+    validateOptions?: (options: Record<string, any>) => void;
+    lazy?: boolean;
+    disposeOn?: string;
+    tracer?: EnhancementTracer;
+    returnKey?: string;
+  }
+
+  interface EnhancementOptions<E extends EnhancementClass = EnhancementClass> {
+    use: E;
+    only?: string[];
+    except?: string[];
+    expose?: boolean;
+    options?: Record<string, any>;
+    when?: EnhancementCondition;
+    lazy?: boolean;
+  }
+
+  type Enhancement = EnhancementClass | EnhancementOptions;
+
+  /**
+   * The information a condition receives in order to decide if an enhancement should be
+   * applied to an instance.
+   */
+  interface EnhancementConditionContext<T = any> {
+    target: T;
+    Enhancement: EnhancementClass;
+    options: Record<string, any> | null;
+  }
+
+  /**
+   * A function that decides if an enhancement should be applied to an instance. After the
+   * context, it receives the dependencies defined on its `inject` property.
+   */
+  interface EnhancementCondition<T = any> {
+    (context: EnhancementConditionContext<T>, ...deps: any[]): boolean;
+    inject?: any[] | ((Cls: any) => any[]);
+  }
+
+  /**
+   * The settings for an enhancement that is not a class: the static properties an
+   * enhancement class can have, and a name for it.
+   */
+  interface EnhancementSettings {
+    name?: string;
+    inject?: any[] | ((Cls: any) => any[]);
+    requires?: EnhancementClass[];
+    strategy?: EnhancementStrategySetting;
+    resultPolicy?: EnhancementResultPolicySetting;
+    errorPolicy?: EnhancementErrorPolicySetting;
+    defaultOptions?: Record<string, any>;
+    validateOptions?: (options: Record<string, any>) => void;
+    disposeOn?: string;
+    tracer?: EnhancementTracer;
+    returnKey?: string;
+  }
+
+  /**
+   * A rule to apply an enhancement to all the resources that match it.
+   */
+  interface GlobalEnhancementRule<E extends EnhancementClass = EnhancementClass>
+    extends EnhancementOptions<E> {
+    type?: ResourceType | ResourceType[];
+    name?: string | RegExp;
+    test?: (Cls: Class) => boolean;
+  }
+
+  interface PluginOptions {
+    global?: (EnhancementClass | GlobalEnhancementRule)[];
+  }
+
+  /**
+   * The members an enhancement adds to the instances of the target. The ones of the
+   * target have precedence, if the enhancement is not exposed, it doesn't add any, and if
+   * it's conditional, they're optional.
+   */
+  type EnhancementMembers<E, T> = E extends { expose: false }
+    ? {}
+    : E extends { use: infer C; when: EnhancementCondition }
+    ? Partial<Omit<InstanceType<Extract<C, Class>>, keyof T>>
+    : E extends { use: infer C }
+    ? Omit<InstanceType<Extract<C, Class>>, keyof T>
+    : Omit<InstanceType<Extract<E, Class>>, keyof T>;
+
+  /**
+   * The type of an instance of a class after being enhanced by a list of enhancements.
+   */
+  type EnhancedInstance<T, L extends readonly Enhancement[]> = T &
+    UnionToIntersection<{ [K in keyof L]: EnhancementMembers<L[K], T> }[number]>;
+
+  /**
+   * The type of a class after being enhanced by a list of enhancements: its instances have
+   * the members of the enhancements, and it keeps its static members.
+   */
+  type EnhancedClass<C extends Class, L extends readonly Enhancement[]> = (new (
+    ...args: any[]
+  ) => EnhancedInstance<InstanceType<C>, L>) &
+    C;
+
+  /**
+   * The type of the target an enhancement expects to receive on its constructor.
+   */
+  type EnhancementTarget<E> = E extends { use: infer C }
+    ? EnhancementTarget<C>
+    : E extends new (target: infer T, ...deps: any[]) => any
+    ? T
+    : unknown;
+
+  /**
+   * A function that enhances a target class. The instances of the target need to be
+   * compatible with what the enhancements expect to receive on their constructors.
+   */
+  type EnhancementCreator<L extends readonly Enhancement[]> = <
+    C extends Class<
+      UnionToIntersection<{ [K in keyof L]: EnhancementTarget<L[K]> }[number]>
+    >
+  >(
+    Target: C,
+  ) => EnhancedClass<C, L>;
+
+  interface EnhancementReturn<V = any, E = any> {
+    value: V;
+    enhancement: E;
+    Enhancement: EnhancementClass;
+  }
+
+  interface EnhancementErrorInfo {
+    method: string;
+    enhancement: any;
+    Enhancement: EnhancementClass;
+    args: any[];
+  }
+
+  type EnhancementErrorHandler = (error: Error, info: EnhancementErrorInfo) => void;
+
+  type EnhancementTracePhase = 'enhancement' | 'target' | 'hook';
+
+  /**
+   * An event a tracer receives when one of the phases of a composed call starts or
+   * finishes. All the events of a call, on all the layers, share the same ID.
+   */
+  interface EnhancementTraceEvent {
+    type: 'start' | 'end';
+    phase: EnhancementTracePhase;
+    id: number;
+    method: string;
+    enhancement: string;
+    Enhancement: EnhancementClass;
+    strategy: EnhancementStrategy;
+    args: any[];
+    hook: string | null;
+    time: number;
+    duration?: number;
+    async?: boolean;
+    result?: any;
+    error?: any;
+  }
+
+  type EnhancementTracer = (event: EnhancementTraceEvent) => void;
+
+  /**
+   * The signature of the lifecycle methods a target can implement in order to receive
+   * the value an enhancement method returned: `enhanced[MethodName]Return` and
+   * `enhanced[MethodName]ReturnFrom[EnhancementName]` (or its `returnKey`).
+   */
+  type EnhancementReturnHook<V = any, E = any> = (value: V, enhancement: E) => void;
+
+  /**
+   * The signature of the lifecycle method a target can implement in order to receive all
+   * the values the enhancements of a method returned: `enhanced[MethodName]Returns`.
+   */
+  type EnhancementReturnsHook<V = any> = (results: EnhancementReturn<V>[]) => void;
+
+  /**
+   * The lifecycle methods a target can implement in order to receive the values the
+   * enhancements of some of its methods returned.
+   *
+   * @example
+   *
+   * class MyViewModel
+   *   implements EnhancementReturnHooks<'canDeactivate', boolean, 'FormConfirmation'>
+   * {
+   *   enhancedCanDeactivateReturn(value: boolean) { ... }
+   *   enhancedCanDeactivateReturnFromFormConfirmation(value: boolean) { ... }
+   * }
+   *
+   */
+  type EnhancementReturnHooks<M extends string, V = any, N extends string = never> = {
+    [K in M as `enhanced${Capitalize<K>}Return`]?: EnhancementReturnHook<V>;
+  } &
+    {
+      [K in M as `enhanced${Capitalize<K>}Returns`]?: EnhancementReturnsHook<V>;
+    } &
+    {
+      [K in M as `enhanced${Capitalize<K>}ReturnFrom${Capitalize<N>}`]?: EnhancementReturnHook<V>;
+    };
+
+  const modes: {
+    aurelia1: 'aurelia1';
+    aurelia2: 'aurelia2';
+  };
+  const resourceTypes: {
+    element: 'element';
+    attribute: 'attribute';
+    route: 'route';
+  };
+  const strategies: {
+    before: 'before';
+    after: 'after';
+    around: 'around';
+    replace: 'replace';
+  };
+  const resultPolicies: {
+    target: 'target';
+    and: 'and';
+  };
+  const errorPolicies: {
+    propagate: 'propagate';
+    swallowAndContinue: 'swallow-and-continue';
+    delegate: 'delegate';
+  };
+
+  function configure(
+    frameworkConfig: {
+      container: { setHandlerCreatedCallback: (callback: any) => void };
+    },
+    options?: PluginOptions,
+  ): void;
+  function withOptions<E extends EnhancementClass>(
+    enhancement: E,
+    options: Record<string, any>,
+  ): EnhancementOptions<E>;
+  function withOptions<O extends EnhancementOptions>(
+    enhancement: O,
+    options: Record<string, any>,
+  ): O & { options: Record<string, any> };
+  /**
+   * The object a `before` enhancement method returns in order to replace the arguments
+   * the target method receives.
+   */
+  interface EnhancementArgsReplacement<A extends any[] = any[]> {
+    readonly args: A;
+  }
+  function replaceArgs<A extends any[]>(...args: A): EnhancementArgsReplacement<A>;
+  function fromFactory<E extends object, T = any>(
+    factory: (target: T, ...deps: any[]) => E,
+    settings?: EnhancementSettings,
+  ): EnhancementClass<T, E> & (new (target: T, ...deps: any[]) => E);
+  function fromHooks<E extends object, T = any>(
+    hooks: E & ThisType<T>,
+    settings?: Omit<EnhancementSettings, 'inject'>,
+  ): EnhancementClass<T, E> & (new (target: T) => E);
+  function when<E extends EnhancementClass>(
+    condition: EnhancementCondition,
+    enhancement: E,
+  ): EnhancementOptions<E> & { when: EnhancementCondition };
+  function when<O extends EnhancementOptions>(
+    condition: EnhancementCondition,
+    enhancement: O,
+  ): O & { when: EnhancementCondition };
+  function setErrorHandler(handler: EnhancementErrorHandler | null): void;
+  function setTracer(tracer: EnhancementTracer | null): void;
+  function createConsoleTracer(logger?: {
+    log(...args: any[]): void;
+    error(...args: any[]): void;
+  }): EnhancementTracer;
+  function createPerformanceTracer(perf?: {
+    mark(name: string): unknown;
+    measure(name: string, startMark: string, endMark: string): unknown;
+    clearMarks(name?: string): void;
+  }): EnhancementTracer;
+  function setMode(mode: EnhancementMode): void;
+  function setLifecycleAliases(aliases: Record<string, string>): void;
+  function isEnhanced(Cls: Class): boolean;
+  function getEnhancements(Cls: Class): EnhancementClass[];
+  function getOriginalClass<C extends Class>(Cls: C): Class;
+  function getDependencies(Cls: Class): any[];
+  function getEnhancementInstance<E extends EnhancementClass>(
+    instance: object,
+    Enhancement: E,
+  ): InstanceType<E> | null;
+  function getContext<T extends Record<string, any> = Record<string, any>>(
+    instance: object,
+  ): T;
+  function attachEnhancement(
+    instance: object,
+    enhancement: Enhancement,
+    dependencies?: any[],
+  ): boolean;
+  function detachEnhancement(instance: object, Enhancement: EnhancementClass): boolean;
+  function replaceEnhancement(
+    Enhancement: EnhancementClass,
+    NewEnhancement: EnhancementClass,
+  ): void;
+  /**
+   * The parts of a hot module reload API (like webpack's `module.hot` or Vite's
+   * `import.meta.hot`) the library uses.
+   */
+  interface HotModule {
+    data?: any;
+    accept(): void;
+    dispose(callback: (data: any) => void): void;
+  }
+  /**
+   * A resource a disposer can release: a function, or an object with a `dispose` or an
+   * `unsubscribe` method.
+   */
+  type DisposableResource = (() => void) | { dispose(): void } | { unsubscribe(): void };
+  /**
+   * Tracks the resources of an instance of an enhancement in order to release them when
+   * its `disposeOn` lifecycle method gets called.
+   */
+  interface Disposer {
+    track<R extends DisposableResource>(resource: R): R;
+    listen(
+      target: {
+        addEventListener(event: string, listener: any, options?: any): void;
+        removeEventListener(event: string, listener: any, options?: any): void;
+      },
+      event: string,
+      listener: (...args: any[]) => void,
+      options?: any,
+    ): () => void;
+    timeout<A extends any[]>(
+      fn: (...args: A) => void,
+      delay?: number,
+      ...args: A
+    ): ReturnType<typeof setTimeout>;
+    interval<A extends any[]>(
+      fn: (...args: A) => void,
+      delay?: number,
+      ...args: A
+    ): ReturnType<typeof setInterval>;
+    release(): void;
+  }
+  function getDisposer(enhancement: object): Disposer;
+  function disposeEnhancements(instance: object): void;
+  function acceptHotReload(
+    hot: HotModule | null | undefined,
+    ...enhancements: EnhancementClass[]
+  ): void;
+}
+
+/**
+ * Creates a function to enhance an Aurelia's class with other class(es). It can be used
+ * as a decorator or as a function.
+ */
+declare function enhance<L extends readonly enhance.Enhancement[]>(
+  ...enhancements: L
+): enhance.EnhancementCreator<L>;
+
+export = enhance;
@@ -33,6 +33,571 @@
  * @ignore
  */
 
+/**
+ * The strategy an enhancement method uses to decide when it should be called, in relation
+ * to the target method:
+ * - `before`: The enhancement method is called first, then the target method.
+ * - `after`: The target method is called first, and the enhancement method receives its
+ * return value as the first parameter.
+ * - `around`: The enhancement method receives a `next` function as first parameter, and
+ * it decides when, or whether, to call the target method. If it sends arguments to
+ * `next`, the target method receives them instead of the original ones.
+ * - `replace`: Only the enhancement method is called.
+ *
+ * @typedef {'before' | 'after' | 'around' | 'replace'} EnhancementStrategy
+ */
+
+/**
+ * The strategy setting of an enhancement class: it can be a single strategy, for all its
+ * methods, or a dictionary with strategies for specific methods (the ones not defined
+ * will use `before`).
+ *
+ * @typedef {EnhancementStrategy | Object.<string, EnhancementStrategy>}
+ * EnhancementStrategySetting
+ */
+
+/**
+ * A dictionary with the available strategies for the enhancement methods.
+ *
+ * @type {Object.<string, EnhancementStrategy>}
+ */
+const strategies = {
+  before: 'before',
+  after: 'after',
+  around: 'around',
+  replace: 'replace',
+};
+
+/**
+ * The policy that decides what a composed method returns, and if the chain of methods
+ * should be stopped based on the value an enhancement method returns:
+ * - `target`: The value of the target method is returned, and the chain is never stopped.
+ * - `and`: The results are treated as booleans; if a method returns `false`, the chain is
+ * stopped and `false` is returned, otherwise, the value of the target method is returned.
+ *
+ * @typedef {'target' | 'and'} EnhancementResultPolicy
+ */
+
+/**
+ * The result policy setting of an enhancement class: it can be a single policy, for all
+ * its methods, or a dictionary with policies for specific methods (the ones not defined
+ * will use the default policy for the method).
+ *
+ * @typedef {EnhancementResultPolicy | Object.<string, EnhancementResultPolicy>}
+ * EnhancementResultPolicySetting
+ */
+
+/**
+ * A dictionary with the available result policies for the enhancement methods.
+ *
+ * @type {Object.<string, EnhancementResultPolicy>}
+ */
+const resultPolicies = {
+  target: 'target',
+  and: 'and',
+};
+/**
+ * The result policies the methods use when the enhancement doesn't define one. Any method
+ * not on this dictionary uses `target`.
+ * The router hooks use `and`, so an enhancement can prevent a navigation.
+ *
+ * @type {Object.<string, EnhancementResultPolicy>}
+ * @ignore
+ */
+const defaultResultPolicies = {
+  canActivate: resultPolicies.and,
+  canDeactivate: resultPolicies.and,
+  canLoad: resultPolicies.and,
+  canUnload: resultPolicies.and,
+};
+
+/**
+ * The policy that decides what happens when an enhancement method throws an error, or
+ * returns a `Promise` that gets rejected:
+ * - `propagate`: The error is thrown and the original method is not called.
+ * - `swallow-and-continue`: The error is ignored and the chain continues as if the
+ * enhancement method had returned `undefined`.
+ * - `delegate`: The error is sent to the `onEnhancementError` method of the target, or to
+ * the global error handler, and then the chain continues. If there are no handlers, the
+ * error is thrown.
+ *
+ * @typedef {'propagate' | 'swallow-and-continue' | 'delegate'} EnhancementErrorPolicy
+ */
+
+/**
+ * The error policy setting of an enhancement class: it can be a single policy, for all
+ * its methods, or a dictionary with policies for specific methods (the ones not defined
+ * will use `propagate`).
+ *
+ * @typedef {EnhancementErrorPolicy | Object.<string, EnhancementErrorPolicy>}
+ * EnhancementErrorPolicySetting
+ */
+
+/**
+ * The information sent to the error handlers when an enhancement method fails.
+ *
+ * @typedef {Object} EnhancementErrorInfo
+ * @property {string} method       The name of the method that failed.
+ * @property {Object} enhancement  The instance of the enhancement.
+ * @property {Class}  Enhancement  The class of the enhancement.
+ * @property {Array}  args         The arguments the method received.
+ */
+
+/**
+ * @callback EnhancementErrorHandler
+ * @param {Error}                error  The error the enhancement method generated.
+ * @param {EnhancementErrorInfo} info   The information of the method that failed.
+ */
+
+/**
+ * The part of a composed call an event of a tracer is for:
+ * - `enhancement`: The method of the enhancement.
+ * - `target`: The method of the target, which may be the composed method of another
+ * layer.
+ * - `hook`: One of the lifecycle methods of the target that receive the values the
+ * enhancements returned.
+ *
+ * @typedef {'enhancement' | 'target' | 'hook'} EnhancementTracePhase
+ */
+
+/**
+ * An event a tracer receives when one of the phases of a composed call starts (`start`)
+ * and when it finishes (`end`). All the events of a call, on all the layers, share the
+ * same ID.
+ *
+ * @typedef {Object} EnhancementTraceEvent
+ * @property {'start' | 'end'}       type         Whether the phase started or finished.
+ * @property {EnhancementTracePhase} phase        The part of the call the event is for.
+ * @property {number}                id           The ID of the call.
+ * @property {string}                method       The name of the method being called.
+ * @property {string}                enhancement  The name of the enhancement.
+ * @property {Class}                 Enhancement  The class of the enhancement.
+ * @property {EnhancementStrategy}   strategy     The strategy of the method.
+ * @property {Array}                 args         The arguments the phase received.
+ * @property {?string}               hook         The name of the lifecycle method, for
+ *                                                the `hook` phase.
+ * @property {number}                time         When the phase started, in milliseconds.
+ * @property {number}                [duration]   How long the phase took, in
+ *                                                milliseconds. Only for `end`.
+ * @property {boolean}               [async]      Whether the phase returned a `Promise`.
+ *                                                Only for `end`.
+ * @property {*}                     [result]     What the phase returned (or resolved).
+ *                                                Only for `end`.
+ * @property {Error}                 [error]      The error the phase threw (or the reason
+ *                                                of the rejection). Only for `end`, when
+ *                                                it failed.
+ */
+
+/**
+ * @callback EnhancementTracer
+ * @param {EnhancementTraceEvent} event  The information of the phase.
+ */
+
+/**
+ * A dictionary with the available error policies for the enhancement methods.
+ *
+ * @type {Object.<string, EnhancementErrorPolicy>}
+ */
+const errorPolicies = {
+  propagate: 'propagate',
+  swallowAndContinue: 'swallow-and-continue',
+  delegate: 'delegate',
+};
+/**
+ * The function that handles the errors of the enhancement methods that use the `delegate`
+ * policy, when the target doesn't implement `onEnhancementError`.
+ *
+ * @type {?EnhancementErrorHandler}
+ * @ignore
+ */
+let globalErrorHandler = null;
+/**
+ * The function that receives the events of all the composed calls, unless an enhancement
+ * defines its own on its static `tracer` property.
+ *
+ * @type {?EnhancementTracer}
+ * @ignore
+ */
+let globalTracer = null;
+/**
+ * The number of composed calls that were made, used to generate the IDs of the events the
+ * tracers receive.
+ *
+ * @type {number}
+ * @ignore
+ */
+let callsCount = 0;
+
+/**
+ * The version of Aurelia the library works with:
+ * - `aurelia1`: The default.
+ * - `aurelia2`: The lifecycle methods Aurelia 2 calls are matched with the Aurelia 1
+ * methods of the enhancements, and the dependencies defined with Aurelia 2's `@inject`
+ * are supported.
+ *
+ * @typedef {'aurelia1' | 'aurelia2'} EnhancementMode
+ */
+
+/**
+ * A dictionary with the available modes.
+ *
+ * @type {Object.<string, EnhancementMode>}
+ */
+const modes = {
+  aurelia1: 'aurelia1',
+  aurelia2: 'aurelia2',
+};
+/**
+ * The mode the library is currently using.
+ *
+ * @type {EnhancementMode}
+ * @ignore
+ */
+let currentMode = modes.aurelia1;
+/**
+ * The lifecycle methods of Aurelia 1, with the names of their equivalents on Aurelia 2.
+ * When a target is asked for one of them, and the enhancement doesn't have it, the
+ * enhancement method with the equivalent name is used.
+ *
+ * @type {Object.<string, string>}
+ * @ignore
+ */
+let lifecycleAliases = {
+  bind: 'bound',
+  attached: 'attached',
+  detached: 'detaching',
+  unbind: 'unbinding',
+  canActivate: 'canLoad',
+  activate: 'loading',
+  canDeactivate: 'canUnload',
+  deactivate: 'unloading',
+};
+
+/**
+ * The types of Aurelia resources the global enhancements can be applied to:
+ * - `element`: A custom element, or any view model Aurelia composes, like the routed
+ * components.
+ * - `attribute`: A custom attribute.
+ * - `route`: A custom element that implements any of the router lifecycle methods.
+ *
+ * @typedef {'element' | 'attribute' | 'route'} ResourceType
+ */
+
+/**
+ * A dictionary with the types of resources the global enhancements can be applied to.
+ *
+ * @type {Object.<string, ResourceType>}
+ */
+const resourceTypes = {
+  element: 'element',
+  attribute: 'attribute',
+  route: 'route',
+};
+/**
+ * The methods that identify a component as a route.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const routeMethods = [
+  'canActivate',
+  'activate',
+  'canDeactivate',
+  'deactivate',
+  'configureRouter',
+  'canLoad',
+  'loading',
+  'canUnload',
+  'unloading',
+];
+/**
+ * The key Aurelia uses to store the information of a resource on the metadata.
+ *
+ * @type {string}
+ * @ignore
+ */
+const RESOURCE_METADATA_KEY = 'aurelia:resource';
+
+/**
+ * @callback GlobalEnhancementTest
+ * @param {Class} Cls  The class Aurelia is about to create.
+ * @returns {boolean} Whether or not the enhancement should be applied.
+ */
+
+/**
+ * A rule to apply an enhancement to all the resources that match it. It can also have the
+ * same options as {@link EnhancementOptions}.
+ *
+ * @typedef {Object} GlobalEnhancementRule
+ * @property {Class}                         use     The class of the enhancement.
+ * @property {ResourceType | ResourceType[]} [type]  The type(s) of resources the
+ *                                                   enhancement can be applied to.
+ *                                                   Defaults to `element`.
+ * @property {string | RegExp}               [name]  The name of the classes the
+ *                                                   enhancement can be applied to.
+ * @property {GlobalEnhancementTest}         [test]  A custom function to decide if the
+ *                                                   enhancement should be applied.
+ */
+
+/**
+ * The options for the Aurelia plugin.
+ *
+ * @typedef {Object} PluginOptions
+ * @property {Array.<Class | GlobalEnhancementRule>} [global]
+ * The enhancements that should be applied to all the resources that match them.
+ */
+
+/**
+ * The options for a use of an enhancement: what it can do to its target, and how it's
+ * configured.
+ *
+ * @typedef {Object} EnhancementOptions
+ * @property {Class}    use        The class of the enhancement.
+ * @property {string[]} [only]     The only members of the target the enhancement can
+ *                                 intercept. These members are always visible, even if
+ *                                 the target doesn't have them.
+ * @property {string[]} [except]   The members of the target the enhancement can't
+ *                                 intercept.
+ * @property {boolean}  [expose]   Whether the members only the enhancement has (helpers
+ *                                 and state) are visible on the proxy. Defaults to
+ *                                 `true`.
+ * @property {Object}   [options]  The options for this use of the enhancement. They're
+ *                                 merged with its static `defaultOptions`, validated with
+ *                                 its static `validateOptions`, and sent to its
+ *                                 constructor after its dependencies.
+ * @property {Function} [when]     A function to decide, every time the target gets
+ *                                 instantiated, whether the enhancement should be
+ *                                 applied. Check {@link when}.
+ * @property {boolean}  [lazy]     Whether the enhancement should be instantiated the
+ *                                 first time one of its methods gets called, or its
+ *                                 instance is requested, instead of when the target gets
+ *                                 instantiated. Defaults to the static `lazy` property of
+ *                                 the enhancement.
+ */
+
+/**
+ * The settings for an enhancement created with {@link fromFactory} or {@link fromHooks}.
+ * Besides the name, they're the static properties an enhancement class can have.
+ *
+ * @typedef {Object} EnhancementSettings
+ * @property {string} [name]
+ * The name of the enhancement, for the errors and the return hooks.
+ * @property {Array | Function} [inject]
+ * The dependencies of the enhancement.
+ * @property {Class[]} [requires]
+ * The enhancements it requires to be applied before it.
+ * @property {EnhancementStrategySetting} [strategy]
+ * The strategy for its methods.
+ * @property {EnhancementResultPolicySetting} [resultPolicy]
+ * The result policy for its methods.
+ * @property {EnhancementErrorPolicySetting} [errorPolicy]
+ * The error policy for its methods.
+ * @property {Object} [defaultOptions]
+ * The options it uses when it's not configured.
+ * @property {Function} [validateOptions]
+ * A function to validate its options.
+ * @property {EnhancementTracer} [tracer]
+ * A function to receive the events of the calls to its methods.
+ * @property {string} [disposeOn]
+ * The lifecycle method that releases the resources it tracked with its disposer.
+ * @property {string} [returnKey]
+ * The name for the return hooks of the target, instead of the name of the enhancement.
+ */
+
+/**
+ * The normalized version of an enhancement sent to {@link enhance}, be it a class or an
+ * {@link EnhancementOptions} object.
+ *
+ * @typedef {Object} EnhancementDefinition
+ * @property {Class}     Enhancement  The class of the enhancement.
+ * @property {?string[]} only         The only members the enhancement can intercept, or
+ *                                    `null` if it can intercept all of them.
+ * @property {string[]}  except       The members the enhancement can't intercept.
+ * @property {boolean}   expose       Whether the members only the enhancement has are
+ *                                    visible.
+ * @property {?Object}   options      The options for the enhancement, or `null` if it
+ *                                    wasn't configured and has no default options.
+ * @property {?Function} condition    The function that decides if the enhancement should
+ *                                    be applied to an instance, or `null` if it should
+ *                                    always be applied.
+ * @property {boolean}   lazy         Whether the enhancement should be instantiated the
+ *                                    first time it's needed.
+ * @ignore
+ */
+
+/**
+ * The information of a class created by {@link proxyClass}.
+ *
+ * @typedef {Object} EnhancedClassInfo
+ * @property {Class} Target       The class that was enhanced.
+ * @property {Class} Enhancement  The class that enhanced it.
+ * @ignore
+ */
+
+/**
+ * The information of an instance created by {@link enhanceInstance}.
+ *
+ * @typedef {Object} EnhancedInstanceInfo
+ * @property {Object}   target       The instance that was enhanced.
+ * @property {Object}   enhancement  The instance of the enhancement.
+ * @property {Class}    Enhancement  The class of the enhancement.
+ * @property {number}   revision     The number of times the state of the instance
+ *                                   changed.
+ * @property {Object}   proxy        The enhanced instance.
+ * @property {Function} getState     Gets the current {@link EnhancedInstanceState}.
+ * @property {Function} setState     Changes the state of the instance.
+ * @property {Function} dispose      Disposes the instance of the enhancement.
+ * @ignore
+ */
+
+/**
+ * An object to track the resources of an enhancement (subscriptions, listeners and
+ * timers), so they can be released automatically.
+ *
+ * @typedef {Object} Disposer
+ * @property {Function} track     Tracks a resource: a function to call, or an object with
+ *                                a `dispose` or `unsubscribe` method. It returns the
+ *                                resource.
+ * @property {Function} listen    Adds an event listener to an element (or any event
+ *                                target) and tracks it. It returns a function to remove
+ *                                it.
+ * @property {Function} timeout   Calls `setTimeout` and tracks the timer. It returns the
+ *                                timer ID.
+ * @property {Function} interval  Calls `setInterval` and tracks the timer. It returns the
+ *                                timer ID.
+ * @property {Function} release   Releases all the tracked resources.
+ */
+
+/**
+ * What an enhanced instance does: the object it's applied to and the enhancement it has.
+ * It changes when enhancements are attached or detached at runtime.
+ *
+ * @typedef {Object} EnhancedInstanceState
+ * @property {Object}                target      The object the enhancement is applied to.
+ * @property {Function}              create      The function to create the instance of
+ *                                               the enhancement, with its class.
+ * @property {EnhancementDefinition} definition  The definition of the enhancement.
+ * @property {?Object}               instance    The instance of the enhancement, if it
+ *                                               was already created.
+ * @ignore
+ */
+
+/**
+ * The classes created by {@link proxyClass}, with the information of what they enhanced.
+ * This is used by the introspection functions.
+ *
+ * @type {WeakMap<Class, EnhancedClassInfo>}
+ * @ignore
+ */
+const enhancedClasses = new WeakMap();
+/**
+ * The instances created by {@link enhanceInstance}, with the information of what they
+ * enhanced. This is used by the introspection functions.
+ *
+ * @type {WeakMap<Object, EnhancedInstanceInfo>}
+ * @ignore
+ */
+const enhancedInstances = new WeakMap();
+/**
+ * The methods created by {@link composeMethod}, with the functions that call them with a
+ * context. This is used when a composed method calls the composed method of another layer
+ * of enhancements.
+ *
+ * @type {WeakMap<Function, Function>}
+ * @ignore
+ */
+const composedMethods = new WeakMap();
+/**
+ * The methods of the targets bound by {@link enhanceInstance}, with their original
+ * functions. This is needed because a bound function looks like a native one, and the
+ * next layer of enhancements needs to know if the original is native.
+ *
+ * @type {WeakMap<Function, Function>}
+ * @ignore
+ */
+const boundMethods = new WeakMap();
+/**
+ * The enhanced instances (the ViewModels), with the instances of the original classes as
+ * keys, so the methods of the targets can run with them as `this`, no matter which layer
+ * of enhancements calls them.
+ *
+ * @type {WeakMap<Object, Object>}
+ * @ignore
+ */
+const receivers = new WeakMap();
+/**
+ * The methods of the targets that failed with a `TypeError` when the enhanced instance
+ * was `this`, and worked with the original instance, as they use private members. They
+ * always run with the original instance after that.
+ *
+ * @type {WeakSet<Function>}
+ * @ignore
+ */
+const rawReceiverMethods = new WeakSet();
+/**
+ * The prototypes checked by {@link extendsBuiltIn}, with whether or not they reach the
+ * prototype of a built-in class.
+ *
+ * @type {WeakMap<Object, boolean>}
+ * @ignore
+ */
+const builtInPrototypes = new WeakMap();
+/**
+ * The functions generated by the resolvers of {@link deferDependency}, so the enhanced
+ * classes can tell them apart from the dependencies that were sent directly.
+ *
+ * @type {WeakSet<Function>}
+ * @ignore
+ */
+const deferredDependencies = new WeakSet();
+/**
+ * The objects created by {@link replaceArgs}, so the composed methods can tell them apart
+ * from the values the enhancement methods return.
+ *
+ * @type {WeakSet<Object>}
+ * @ignore
+ */
+const argsReplacements = new WeakSet();
+/**
+ * The classes of the enhancements that were replaced by {@link replaceEnhancement}, with
+ * their new versions.
+ *
+ * @type {WeakMap<Class, Class>}
+ * @ignore
+ */
+const replacedEnhancements = new WeakMap();
+/**
+ * The number of replacements made by {@link replaceEnhancement}. The enhanced instances
+ * compare it with the last one they checked in order to know if they need to replace
+ * their enhancements.
+ *
+ * @type {number}
+ * @ignore
+ */
+let replacementsCount = 0;
+/**
+ * The disposers created by {@link getDisposer}, for the instances of the enhancements.
+ *
+ * @type {WeakMap<Object, Disposer>}
+ * @ignore
+ */
+const disposers = new WeakMap();
+/**
+ * The functions that create the instances of the enhancements made with
+ * {@link fromFactory} and {@link fromHooks}, with the classes that represent them.
+ *
+ * @type {WeakMap<Class, Function>}
+ * @ignore
+ */
+const enhancementFactories = new WeakMap();
+/**
+ * The objects the enhancements of an instance can use to share information, with the
+ * original instances as keys.
+ *
+ * @type {WeakMap<Object, Object>}
+ * @ignore
+ */
+const sharedContexts = new WeakMap();
 /**
  * These are necessary resources for the `isNativeFn` function.
  *
@@ -62,10 +627,483 @@ const reNative = RegExp(`^${reBase}$`);
  * @ignore
  */
 const isNativeFn = (fn) => fnToString.call(fn).match(reNative);
+/**
+ * Gets the latest version of an enhancement class, following the replacements made by
+ * {@link replaceEnhancement}.
+ *
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @returns {Class}
+ * @ignore
+ */
+const getLatestEnhancement = (Enhancement) => {
+  let result = Enhancement;
+  while (replacedEnhancements.has(result)) {
+    result = replacedEnhancements.get(result);
+  }
+
+  return result;
+};
+/**
+ * Calls the `dispose` method of an instance of an enhancement, if it has it.
+ *
+ * @param {?Object} enhancement  The instance of the enhancement.
+ * @ignore
+ */
+const disposeEnhancement = (enhancement) => {
+  if (enhancement && typeof enhancement.dispose === 'function') {
+    enhancement.dispose();
+  }
+
+  if (disposers.has(enhancement)) {
+    disposers.get(enhancement).release();
+  }
+};
+/**
+ * Creates an object to track the resources of an enhancement. The resources are released
+ * in the reverse order they were tracked.
+ *
+ * @returns {Disposer}
+ * @ignore
+ */
+const createDisposer = () => {
+  let resources = [];
+  /**
+   * Tracks a resource so it will be released with the others.
+   *
+   * @param {Function | Object} resource  A function to call, or an object with a
+   *                                      `dispose` or `unsubscribe` method.
+   * @returns {Function | Object} The same resource.
+   * @ignore
+   */
+  const track = (resource) => {
+    resources.push(resource);
+    return resource;
+  };
+  /**
+   * Releases a tracked resource: if it's a function, it gets called, otherwise, its
+   * `dispose` or `unsubscribe` method gets called.
+   *
+   * @param {Function | Object} resource  The resource to release.
+   * @ignore
+   */
+  const releaseResource = (resource) => {
+    if (typeof resource === 'function') {
+      resource();
+    } else if (typeof resource.dispose === 'function') {
+      resource.dispose();
+    } else if (typeof resource.unsubscribe === 'function') {
+      resource.unsubscribe();
+    }
+  };
+
+  return {
+    track,
+    /**
+     * Adds an event listener to an event target, and tracks a function to remove it.
+     *
+     * @param {EventTarget} target     The element, or any event target.
+     * @param {string}      event      The name of the event.
+     * @param {Function}    listener   The function to call when the event is emitted.
+     * @param {*}           [options]  The options for `addEventListener`.
+     * @returns {Function} The function that removes the listener.
+     * @ignore
+     */
+    listen: (target, event, listener, options) => {
+      target.addEventListener(event, listener, options);
+      return track(() => target.removeEventListener(event, listener, options));
+    },
+    /**
+     * Calls `setTimeout` and tracks a function to clear the timer.
+     *
+     * @param {Function} fn     The function to call.
+     * @param {number}   delay  The time to wait, in milliseconds.
+     * @param {...*}     args   Extra arguments for the function.
+     * @returns {*} The ID of the timer.
+     * @ignore
+     */
+    timeout: (fn, delay, ...args) => {
+      const id = setTimeout(fn, delay, ...args);
+      track(() => clearTimeout(id));
+      return id;
+    },
+    /**
+     * Calls `setInterval` and tracks a function to clear the timer.
+     *
+     * @param {Function} fn     The function to call.
+     * @param {number}   delay  The time between the calls, in milliseconds.
+     * @param {...*}     args   Extra arguments for the function.
+     * @returns {*} The ID of the timer.
+     * @ignore
+     */
+    interval: (fn, delay, ...args) => {
+      const id = setInterval(fn, delay, ...args);
+      track(() => clearInterval(id));
+      return id;
+    },
+    /**
+     * Releases all the tracked resources, in the reverse order they were tracked, and
+     * empties the list, so the disposer can be used again.
+     *
+     * @ignore
+     */
+    release: () => {
+      const list = resources.reverse();
+      resources = [];
+      list.forEach(releaseResource);
+    },
+  };
+};
+/**
+ * Gets the names of the lifecycle methods that release the resources an enhancement
+ * tracked with its {@link Disposer}: the one defined on its static `disposeOn` property
+ * (`detached` by default), and its equivalents for the other version of Aurelia.
+ *
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @returns {string[]}
+ * @throws {Error} If `disposeOn` is not a string.
+ * @ignore
+ */
+const getReleaseHooks = (Enhancement) => {
+  const { disposeOn = 'detached' } = Enhancement;
+  if (typeof disposeOn !== 'string') {
+    throw new Error(`The 'disposeOn' of '${Enhancement.name}' should be a method name`);
+  }
+
+  return [
+    disposeOn,
+    lifecycleAliases[disposeOn],
+    Object.keys(lifecycleAliases).find((key) => lifecycleAliases[key] === disposeOn),
+  ].filter(Boolean);
+};
+/**
+ * Checks whether a value is a `Promise`, or at least, a _thenable_.
+ *
+ * @param {*} value  The value to validate.
+ * @returns {boolean}
+ * @ignore
+ */
+const isPromise = (value) => !!value && typeof value.then === 'function';
+/**
+ * Calls a function with a value, and if the value is a `Promise`, it waits for it to be
+ * resolved before calling the function.
+ *
+ * @param {*}        value  The value to send to the function.
+ * @param {Function} fn     The function to call.
+ * @returns {*} Whatever the function returns, or a `Promise` with it, if the value was a
+ *              `Promise`.
+ * @ignore
+ */
+const resolveValue = (value, fn) => (isPromise(value) ? value.then(fn) : fn(value));
+/**
+ * Gets the current time, in milliseconds, with the precision of `performance.now` when
+ * it's available.
+ *
+ * @returns {number}
+ * @ignore
+ */
+const now = () =>
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? performance.now()
+    : Date.now();
+/**
+ * Calls a function and sends the `start` and `end` events of a phase to a tracer. If the
+ * function returns a `Promise`, the `end` event is sent when it gets settled.
+ *
+ * @param {EnhancementTracer} tracer  The function that receives the events.
+ * @param {Object}            event   The information of the phase.
+ * @param {Function}          fn      The function to call.
+ * @returns {*} What the function returned.
+ * @ignore
+ */
+const traceCall = (tracer, event, fn) => {
+  const time = now();
+  /**
+   * Sends the `end` event to the tracer, with how long the phase took.
+   *
+   * @param {Object} data  The information of how the phase ended: whether it was async,
+   *                       and its result or error.
+   * @ignore
+   */
+  const end = (data) =>
+    tracer({ ...event, type: 'end', time, duration: now() - time, ...data });
+  tracer({ ...event, type: 'start', time });
+  let value;
+  try {
+    value = fn();
+  } catch (error) {
+    end({ async: false, error });
+    throw error;
+  }
+
+  if (!isPromise(value)) {
+    end({ async: false, result: value });
+    return value;
+  }
+
+  return value.then(
+    (result) => {
+      end({ async: true, result });
+      return result;
+    },
+    (error) => {
+      end({ async: true, error });
+      throw error;
+    },
+  );
+};
+/**
+ * Finds the descriptor of an accessor property (getter and/or setter) on an object or its
+ * prototype chain. The search stops if a data property with the same name is found, or
+ * when it gets to `Object.prototype`.
+ *
+ * @param {Object} obj   The object where the property should be searched.
+ * @param {string} name  The name of the property.
+ * @returns {?Object} The descriptor, or `null` if the property is not an accessor.
+ * @ignore
+ */
+const getAccessorDescriptor = (obj, name) => {
+  let result = null;
+  let current = obj;
+  while (current && current !== Object.prototype) {
+    const descriptor = Object.getOwnPropertyDescriptor(current, name);
+    if (descriptor) {
+      if (descriptor.get || descriptor.set) {
+        result = descriptor;
+      }
+
+      break;
+    }
+
+    current = Object.getPrototypeOf(current);
+  }
+
+  return result;
+};
+/**
+ * Binds a getter or setter function to a context, while keeping the properties the
+ * original function may have. This is needed because Aurelia uses properties on the
+ * getters to define their dependencies (`@computedFrom`).
+ *
+ * @param {Function} fn       The function to bind.
+ * @param {Object}   context  The object that will be `this` for the function.
+ * @returns {Function}
+ * @ignore
+ */
+const bindAccessor = (fn, context) => Object.assign(fn.bind(context), fn);
+/**
+ * Gets the value of a setting an enhancement class defines for one of its methods. The
+ * settings can be a single value, for all the methods, or a dictionary with values for
+ * specific methods.
+ *
+ * @param {Class}  Enhancement   The class that defines the method.
+ * @param {string} setting       The name of the static property with the setting.
+ * @param {string} name          The name of the method.
+ * @param {string} defaultValue  The value to use if the class doesn't define one for the
+ *                               method.
+ * @returns {string}
+ * @ignore
+ */
+const getMethodSetting = (Enhancement, setting, name, defaultValue) => {
+  const value = Enhancement[setting];
+  let result;
+  if (typeof value === 'string') {
+    result = value;
+  } else if (value && typeof value[name] === 'string') {
+    result = value[name];
+  } else {
+    result = defaultValue;
+  }
+
+  return result;
+};
+/**
+ * Validates one of the settings an enhancement class can define for its methods.
+ *
+ * @param {Class}    Enhancement  The class to validate.
+ * @param {string}   setting      The name of the static property with the setting.
+ * @param {string}   label        How to call the setting on the error message.
+ * @param {string[]} supported    The list of supported values.
+ * @throws {Error} If one of the values is not supported.
+ * @ignore
+ */
+const validateMethodSetting = (Enhancement, setting, label, supported) => {
+  const value = Enhancement[setting];
+  const list = typeof value === 'string' ? [value] : Object.values(value || {});
+  const invalid = list.find((item) => !supported.includes(item));
+  if (typeof invalid !== 'undefined') {
+    throw new Error(
+      `Invalid ${label} '${invalid}' on '${Enhancement.name}', it should be one of: ` +
+        `${supported.join(', ')}`,
+    );
+  }
+};
+/**
+ * Validates all the settings an enhancement class defines for its methods.
+ *
+ * @param {Class} Enhancement  The class to validate.
+ * @throws {Error} If one of the settings has an unsupported value.
+ * @ignore
+ */
+const validateMethodSettings = (Enhancement) => {
+  validateMethodSetting(Enhancement, 'strategy', 'strategy', Object.values(strategies));
+  validateMethodSetting(
+    Enhancement,
+    'resultPolicy',
+    'result policy',
+    Object.values(resultPolicies),
+  );
+  validateMethodSetting(
+    Enhancement,
+    'errorPolicy',
+    'error policy',
+    Object.values(errorPolicies),
+  );
+  if (
+    typeof Enhancement.tracer !== 'undefined' &&
+    typeof Enhancement.tracer !== 'function'
+  ) {
+    throw new Error(`The tracer of '${Enhancement.name}' should be a function`);
+  }
+
+  if (
+    typeof Enhancement.returnKey !== 'undefined' &&
+    typeof Enhancement.returnKey !== 'string'
+  ) {
+    throw new Error(`The return key of '${Enhancement.name}' should be a string`);
+  }
+};
+/**
+ * The key Aurelia (and TypeScript) uses to store the types of the constructor parameters
+ * on the metadata. This is used by `@autoinject`.
+ *
+ * @type {string}
+ * @ignore
+ */
+const PARAM_TYPES_METADATA_KEY = 'design:paramtypes';
+/**
+ * The key Aurelia 2 uses to store the dependencies defined with `@inject` on the
+ * metadata.
+ *
+ * @type {string}
+ * @ignore
+ */
+const AU2_PARAM_TYPES_METADATA_KEY = 'au:annotation:di:paramtypes';
+/**
+ * Checks whether a dependency is one of Aurelia's resolvers (like `Lazy.of` or
+ * `Optional.of`). Aurelia identifies them by having a `get` method.
+ *
+ * @param {*} dep  The dependency to validate.
+ * @returns {boolean}
+ * @ignore
+ */
+const isResolver = (dep) =>
+  !!dep && typeof dep === 'object' && typeof dep.get === 'function';
+/**
+ * Creates a resolver that, instead of the dependency, returns a function to obtain it.
+ * This is used for the dependencies of conditional and lazy enhancements, so they're only
+ * obtained when the enhancement gets instantiated. It implements the resolvers protocol
+ * of both versions of Aurelia.
+ *
+ * @param {*} dep  The dependency to defer.
+ * @returns {Object}
+ * @ignore
+ */
+const deferDependency = (dep) => {
+  /**
+   * Creates the function that obtains the dependency from a container.
+   *
+   * @param {Object} container  The container that will resolve the dependency.
+   * @returns {Function}
+   * @ignore
+   */
+  const createGetter = (container) => {
+    /**
+     * Obtains the dependency from the container.
+     *
+     * @returns {*}
+     * @ignore
+     */
+    const getter = () => container.get(dep);
+    deferredDependencies.add(getter);
+    return getter;
+  };
+
+  return {
+    'protocol:aurelia:resolver': true,
+    $isResolver: true,
+    get: createGetter,
+    /**
+     * The resolver method for Aurelia 2, which sends the container as `requestor`.
+     *
+     * @param {Object} handler    The container that handles the request.
+     * @param {Object} requestor  The container that requested the dependency.
+     * @returns {Function}
+     * @ignore
+     */
+    resolve: (handler, requestor) => createGetter(requestor),
+  };
+};
+/**
+ * Obtains a dependency that may have been deferred by {@link deferDependency}. If the
+ * value is not one of the deferred functions, it gets returned as it is.
+ *
+ * @param {*} value  The value Aurelia sent to the constructor.
+ * @returns {*}
+ * @ignore
+ */
+const resolveDependency = (value) => (deferredDependencies.has(value) ? value() : value);
+/**
+ * Gets the list of dependencies a class defines on its own static `inject`, which can be
+ * a list or a function that returns the list.
+ *
+ * @param {Class} Cls  The class from where the dependencies will be read.
+ * @returns {Array}
+ * @ignore
+ */
+const getOwnDependencies = (Cls) => {
+  let result = [];
+  if (Object.prototype.hasOwnProperty.call(Cls, 'inject')) {
+    const { inject } = Cls;
+    result = (typeof inject === 'function' ? inject.call(Cls) : inject) || [];
+  }
+
+  return result;
+};
+/**
+ * Gets the list of dependencies a class needs, the same way Aurelia does it: the
+ * dependencies of each class on the inheritance chain are merged, starting with the class
+ * itself, and if `inject` is not defined, the types of the parameters on the metadata are
+ * used (`@autoinject`, or Aurelia 2's `@inject` on the `aurelia2` mode).
+ * An enhanced class already includes the dependencies of its parents, so the chain stops
+ * there.
+ *
+ * @param {Class} Cls  The class from where the dependencies will be read.
+ * @returns {Array}
+ */
+const getDependencies = (Cls) => {
+  let result = [];
+  if (typeof Cls.inject !== 'undefined') {
+    let current = Cls;
+    while (typeof current === 'function' && current !== Function.prototype) {
+      result.push(...getOwnDependencies(current));
+      current = enhancedClasses.has(current) ? null : Object.getPrototypeOf(current);
+    }
+  } else if (typeof Reflect.getOwnMetadata === 'function') {
+    const metadata =
+      (currentMode === modes.aurelia2 &&
+        Reflect.getOwnMetadata(AU2_PARAM_TYPES_METADATA_KEY, Cls)) ||
+      Reflect.getOwnMetadata(PARAM_TYPES_METADATA_KEY, Cls);
+    result = (metadata || []).slice();
+  }
+
+  return result;
+};
 /**
  * This utility function takes care of generating a unique list of dependencies for both,
  * the target and the class that enhances it. It then provides methods to extract the
  * dependencies of each one when Aurelia is done instantiating them.
+ * The dependencies are matched by identity, and resolvers are never shared, as they could
+ * generate a new value each time they are used (like `Factory.of`).
  *
  * @param {Array} [target=[]]       The list of dependencies for the target class.
  * @param {Array} [enhancement=[]]  The list of dependencies for the enhance class.
@@ -74,101 +1112,951 @@ const isNativeFn = (fn) => fnToString.call(fn).match(reNative);
  */
 const getInjectData = (target = [], enhancement = []) => {
   const list = target.slice();
-  const enhancementPositions = {};
-  enhancement.forEach((dep) => {
-    const targetIndex = list.indexOf(dep);
-    if (targetIndex > -1) {
-      enhancementPositions[dep] = targetIndex;
-    } else {
+  const enhancementPositions = enhancement.map((dep) => {
+    let index = isResolver(dep) ? -1 : list.indexOf(dep);
+    if (index === -1) {
       list.push(dep);
-      enhancementPositions[dep] = list.length - 1;
+      index = list.length - 1;
     }
+
+    return index;
   });
 
-  return {
-    list,
+  return {
+    list,
+    /**
+     * Given the list of all the obtained dependencies, it filters the ones needed for the
+     * target class.
+     *
+     * @type {GetDependencies}
+     * @ignore
+     */
+    getForTarget: (values) => values.slice(0, target.length),
+    /**
+     * Given the list of all the obtained dependencies, it filters the ones needed for the
+     * enhancement class.
+     *
+     * @type {GetDependencies}
+     * @ignore
+     */
+    getForEnhancement: (values) => enhancementPositions.map((index) => values[index]),
+  };
+};
+/**
+ * The settings an enhancement class defines for one of its methods.
+ *
+ * @typedef {Object} MethodSettings
+ * @property {EnhancementStrategy}     strategy      The order in which the methods should
+ *                                                   be called.
+ * @property {EnhancementResultPolicy} resultPolicy  How to handle the values the methods
+ *                                                   return.
+ * @property {EnhancementErrorPolicy}  errorPolicy   How to handle the errors of the
+ *                                                   enhancement method.
+ * @ignore
+ */
+
+/**
+ * Gets the settings an enhancement class defines for one of its methods.
+ *
+ * @param {Class}  Enhancement  The class that defines the method.
+ * @param {string} name         The name of the method.
+ * @returns {MethodSettings}
+ * @ignore
+ */
+const getMethodSettings = (Enhancement, name) => ({
+  strategy: getMethodSetting(Enhancement, 'strategy', name, strategies.before),
+  resultPolicy: getMethodSetting(
+    Enhancement,
+    'resultPolicy',
+    name,
+    defaultResultPolicies[name] || resultPolicies.target,
+  ),
+  errorPolicy: getMethodSetting(
+    Enhancement,
+    'errorPolicy',
+    name,
+    errorPolicies.propagate,
+  ),
+});
+/**
+ * The information of a value returned by an enhancement method, sent to the
+ * `enhanced[MethodName]Returns` lifecycle method.
+ *
+ * @typedef {Object} EnhancementReturn
+ * @property {*}      value        The value the method returned. If it returned a
+ *                                 `Promise`, this is the resolved value.
+ * @property {Object} enhancement  The instance of the enhancement.
+ * @property {Class}  Enhancement  The class of the enhancement.
+ */
+
+/**
+ * The information shared by all the composed methods involved on a single call, from the
+ * outermost enhancement to the original method.
+ *
+ * @typedef {Object} CallContext
+ * @property {number}              id       The ID of the call, for the tracers.
+ * @property {EnhancementReturn[]} results  The values returned by the enhancement
+ *                                          methods, in the order they were called.
+ * @ignore
+ */
+
+/**
+ * Gets the name of the lifecycle method, for the version of Aurelia that is not being
+ * used, that is equivalent to the one being requested.
+ *
+ * @param {string} name  The name of the requested method.
+ * @returns {?string} If the method doesn't have an equivalent, it will return `null`.
+ * @ignore
+ */
+const getLifecycleAlias = (name) => {
+  let result = null;
+  if (currentMode === modes.aurelia2) {
+    result = Object.keys(lifecycleAliases).find((key) => lifecycleAliases[key] === name);
+  } else if (Object.prototype.hasOwnProperty.call(lifecycleAliases, name)) {
+    result = lifecycleAliases[name];
+  }
+
+  return result || null;
+};
+/**
+ * Converts the first letter of a string to uppercase. This is used to generate the name
+ * of the lifecycle methods.
+ *
+ * @param {string} str  The string to format.
+ * @returns {string}
+ * @ignore
+ */
+const upperCaseFirst = (str) => str.replace(/^[a-z]/, (match) => match.toUpperCase());
+/**
+ * Checks whether an object extends a built-in class (like `Map` or `EventTarget`), as
+ * their methods need the internal slots of the instance, and they fail when the proxy
+ * is `this`, even if they're called with `super`.
+ *
+ * @param {Object} obj  The object to validate.
+ * @returns {boolean}
+ * @ignore
+ */
+const extendsBuiltIn = (obj) => {
+  const proto = Object.getPrototypeOf(obj);
+  if (!proto || proto === Object.prototype) {
+    return false;
+  }
+
+  if (!builtInPrototypes.has(proto)) {
+    const ctor = Object.prototype.hasOwnProperty.call(proto, 'constructor')
+      ? proto.constructor
+      : null;
+    builtInPrototypes.set(
+      proto,
+      (typeof ctor === 'function' && !!isNativeFn(ctor)) || extendsBuiltIn(proto),
+    );
+  }
+
+  return builtInPrototypes.get(proto);
+};
+/**
+ * Calls a function of a target instance. When `this` is one of its enhanced instances,
+ * the function runs with the outermost one, the ViewModel, so the calls and writes it
+ * makes go through the enhancements; unless the instance extends a built-in class, or
+ * the function fails with a `TypeError` and works with the original instance (because it
+ * uses private members), in which case it runs with the original instance.
+ *
+ * @param {Function} fn        The function to call.
+ * @param {Object}   target    The instance of the original class.
+ * @param {*}        receiver  The value of `this` the function was called with.
+ * @param {Array}    args      The arguments for the function.
+ * @returns {*}
+ * @ignore
+ */
+const callTargetFunction = (fn, target, receiver, args) => {
+  if (!enhancedInstances.has(receiver)) {
+    return fn.apply(receiver, args);
+  }
+
+  if (rawReceiverMethods.has(fn) || extendsBuiltIn(target)) {
+    return fn.apply(target, args);
+  }
+
+  /**
+   * Calls the function again with the original instance if the error is a `TypeError`,
+   * and if it works, saves the function so it always uses the original instance.
+   *
+   * @param {Error} error  The error the function generated with the enhanced instance.
+   * @returns {*}
+   * @throws {Error} If the error is not a `TypeError`, or the function fails again.
+   * @ignore
+   */
+  const retry = (error) => {
+    if (!(error instanceof TypeError)) {
+      throw error;
+    }
+
+    return resolveValue(fn.apply(target, args), (value) => {
+      rawReceiverMethods.add(fn);
+      return value;
+    });
+  };
+
+  let result;
+  try {
+    result = fn.apply(receivers.get(target) || receiver, args);
+  } catch (error) {
+    return retry(error);
+  }
+
+  return isPromise(result) ? result.then(undefined, retry) : result;
+};
+/**
+ * Calls a method of a target that may be an enhanced instance, from one of its layers.
+ * If the target is the original instance, the method is called following the rules of
+ * {@link callTargetFunction}; otherwise, the next layer is in charge of it.
+ *
+ * @param {Object}   target  The target class instance.
+ * @param {Function} method  The method to call.
+ * @param {Array}    args    The arguments for the method.
+ * @returns {*}
+ * @ignore
+ */
+const applyTargetMethod = (target, method, args) =>
+  enhancedInstances.has(target)
+    ? method.apply(target, args)
+    : callTargetFunction(method, target, receivers.get(target) || target, args);
+/**
+ * Calls a target method. If the method was composed by another layer of enhancements,
+ * it gets called with the context, so all the layers share it.
+ *
+ * @param {Object}      target   The target class instance.
+ * @param {string}      name     The name of the method.
+ * @param {Array}       args     The arguments for the method.
+ * @param {CallContext} context  The context of the call.
+ * @returns {*}
+ * @ignore
+ */
+const callTargetMethod = (target, name, args, context) => {
+  const method = target[name];
+  const composed = composedMethods.get(method);
+  return composed ? composed(context, args) : applyTargetMethod(target, method, args);
+};
+/**
+ * This is called from the proxy created on {@link enhanceInstance} when the enhancement
+ * implements a method of the target that is being requested.
+ * The function will call the enhanced method and the original based on the strategy:
+ * by default, it first calls the enhanced method, then evaluates whether it should
+ * resolved as a promise (becuase the method returned a `Promise`) or sync, checks if the
+ * target implements the lifecycle methods to recive what the enhancement returned and
+ * finally, calls the original method.
+ * If the result policy is `and` and one of the methods returns `false`, the chain gets
+ * stopped and `false` is returned.
+ * Once all the layers of enhancements are done, if the target implements the lifecycle
+ * method, it will receive the values returned by all the enhancements.
+ *
+ * @param {EnhancedInstanceInfo} info          The information of the enhanced instance.
+ * @param {string}               name          The name of the method being requested.
+ * @param {boolean}              callTarget    Whether or not the target method should be
+ *                                             called.
+ * @param {string}               [methodName]  The name of the enhancement method, in case
+ *                                             it's an alias of the requested one.
+ * @returns {Function} A version of the method that calls both, the enhancement and the
+ *                     original.
+ * @ignore
+ */
+const composeMethod = (info, name, callTarget, methodName = name) => {
+  const { target, Enhancement, revision } = info;
+  const { strategy, resultPolicy, errorPolicy } = getMethodSettings(
+    Enhancement,
+    methodName,
+  );
+  const lcMethodName = `enhanced${upperCaseFirst(name)}Return`;
+  const returnKey = Enhancement.returnKey || Enhancement.name;
+  const lcMethodFromName = returnKey
+    ? `${lcMethodName}From${upperCaseFirst(returnKey)}`
+    : '';
+  const handlesErrors = errorPolicy !== errorPolicies.propagate;
+  /**
+   * Checks whether a value returned by one of the methods should stop the chain: when the
+   * result policy is `and` and the value is `false`.
+   *
+   * @param {*} value  The value a method returned.
+   * @returns {boolean}
+   * @ignore
+   */
+  const stopsChain = (value) => resultPolicy === resultPolicies.and && value === false;
+  /**
+   * Calls one of the phases of the method, and if there's a tracer, for the enhancement
+   * or global, it sends it the events.
+   *
+   * @param {CallContext}           context    The context of the call.
+   * @param {EnhancementTracePhase} phase      The phase being called.
+   * @param {Array}                 phaseArgs  The arguments the phase receives.
+   * @param {Function}              fn         The function that calls the phase.
+   * @param {?string}               [hook]     The name of the lifecycle method, for the
+   *                                           `hook` phase.
+   * @returns {*}
+   * @ignore
+   */
+  const trace = (context, phase, phaseArgs, fn, hook = null) => {
+    const tracer = Enhancement.tracer || globalTracer;
+    return tracer
+      ? traceCall(
+          tracer,
+          {
+            phase,
+            id: context.id,
+            method: name,
+            enhancement: Enhancement.name,
+            Enhancement,
+            strategy,
+            args: phaseArgs,
+            hook,
+          },
+          fn,
+        )
+      : fn();
+  };
+  /**
+   * Calls the methods with the context of the call.
+   *
+   * @param {CallContext} context  The context of the call.
+   * @param {Array}       args     The arguments for the method.
+   * @returns {*}
+   * @ignore
+   */
+  const run = (context, args) => {
+    // The instance is read on every call, as a lazy enhancement is created on its first.
+    const { enhancement } = info;
+    let nextResult = null;
+    let targetFailure = null;
+    /**
+     * Calls a lifecycle method of the target that receives what an enhancement method
+     * returned, if the target has it.
+     *
+     * @param {string} hook   The name of the lifecycle method.
+     * @param {*}      value  The value the enhancement method returned.
+     * @ignore
+     */
+    const callHook = (hook, value) => {
+      if (typeof target[hook] === 'function') {
+        const hookArgs = [value, enhancement];
+        trace(
+          context,
+          'hook',
+          hookArgs,
+          () => applyTargetMethod(target, target[hook], hookArgs),
+          hook,
+        );
+      }
+    };
+    /**
+     * Saves the value an enhancement method returned on the context of the call, and
+     * sends it to the lifecycle methods of the target that receive it.
+     *
+     * @param {*} value  The value the enhancement method returned.
+     * @throws {Error} If the value is a replacement of the arguments, and the strategy
+     *                 of the method is not `before`.
+     * @ignore
+     */
+    const callLCMethods = (value) => {
+      if (argsReplacements.has(value)) {
+        throw new Error(
+          `The '${methodName}' method of '${Enhancement.name}' can't replace the ` +
+            "arguments, only the 'before' methods can",
+        );
+      }
+
+      context.results.push({ value, enhancement, Enhancement });
+      callHook(lcMethodName, value);
+      if (lcMethodFromName) {
+        callHook(lcMethodFromName, value);
+      }
+    };
+    /**
+     * Saves an error of the target method and throws it again. The errors are saved so
+     * they won't be handled as if they were from the enhancement when using `around`.
+     *
+     * @param {Error} error  The error the target method generated.
+     * @throws {Error} The same error it received.
+     * @ignore
+     */
+    const failTarget = (error) => {
+      targetFailure = { error };
+      throw error;
+    };
+    /**
+     * Calls the target method, if the target has it, and saves its value, so the fallback
+     * of `around` doesn't call it again. If the error policy handles the errors, the ones
+     * of the target are flagged, so they'll be propagated.
+     *
+     * @param {Array} [targetArgs]  The arguments for the target method. Defaults to the
+     *                              ones the composed method received.
+     * @returns {*} What the target method returned.
+     * @throws {Error} If the target method fails.
+     * @ignore
+     */
+    const next = (targetArgs = args) => {
+      let value;
+      try {
+        value = callTarget
+          ? trace(context, 'target', targetArgs, () =>
+              callTargetMethod(target, name, targetArgs, context),
+            )
+          : undefined;
+      } catch (error) {
+        failTarget(error);
+      }
+
+      if (handlesErrors && isPromise(value)) {
+        value = value.then(undefined, failTarget);
+      }
+
+      nextResult = { value };
+      return value;
+    };
     /**
-     * Given the list of all the obtained dependencies, it filters the ones needed for the
-     * target class.
+     * Handles an error of the enhancement method based on its error policy: it gets
+     * thrown, ignored or sent to the handlers, and then the fallback is called.
      *
-     * @type {GetDependencies}
+     * @param {Error}    error     The error the enhancement method generated.
+     * @param {Function} fallback  The function to call in order to continue the chain.
+     * @returns {*} What the fallback returned.
+     * @throws {Error} If the policy is `propagate`, the error is from the target method,
+     *                 or the policy is `delegate` and there are no handlers.
      * @ignore
      */
-    getForTarget: (values) => values.slice(0, target.length),
+    const handleError = (error, fallback) => {
+      if (!handlesErrors || (targetFailure && targetFailure.error === error)) {
+        throw error;
+      }
+
+      if (errorPolicy === errorPolicies.delegate) {
+        const errorInfo = { method: name, enhancement, Enhancement, args };
+        if (typeof target.onEnhancementError === 'function') {
+          applyTargetMethod(target, target.onEnhancementError, [error, errorInfo]);
+        } else if (globalErrorHandler) {
+          globalErrorHandler(error, errorInfo);
+        } else {
+          throw error;
+        }
+      }
+
+      return fallback();
+    };
     /**
-     * Given the list of all the obtained dependencies, it filters the ones needed for the
-     * enhancement class.
+     * Calls the enhancement method and, if it fails (or the `Promise` it returned gets
+     * rejected), it handles the error.
      *
-     * @type {GetDependencies}
+     * @param {Array}    enhancedArgs  The arguments for the enhancement method.
+     * @param {Function} [fallback]    The function to call in order to continue the
+     *                                 chain if the error is handled.
+     * @returns {*}
      * @ignore
      */
-    getForEnhancement: (values) =>
-      enhancement.map((dep) => values[enhancementPositions[dep]]),
-  };
-};
-/**
- * This is called from the proxy created on {@link enhanceInstance} when the enhancement
- * implements a method of the target that is being requested.
- * The function will first call the enhanced method, then evaluate whether it should
- * resolved as a promise (becuase the method returned a `Promise`) or sync, check if the
- * target implements the lifecycle method to recive what the enhancement returned and
- * finally, call the original method.
- *
- * @param {Object}  target       The target class instance.
- * @param {Object}  enhancement  The instance with the enhanced methods.
- * @param {string}  name         The name of the method being requested.
- * @param {boolean} callTarget   Whether or not the target method should be called.
- * @returns {Function} A version of the method that calls both, the enhancement and the
- *                     original.
- * @ignore
- */
-const composeMethod = (target, enhancement, name, callTarget) => (...args) => {
-  const enhancedMethod = enhancement[name];
-  const enhancedValue = enhancedMethod.bind(enhancement)(...args);
-  const normalizedName = name.replace(/^[a-z]/, (match) => match.toUpperCase());
-  const lcMethodName = `enhanced${normalizedName}Return`;
-  const hasLCMethod = typeof target[lcMethodName] === 'function';
-  let result;
-  const isPromise = enhancedValue && typeof enhancedValue.then === 'function';
-  if (isPromise) {
-    result = enhancedValue.then((value) => {
-      if (hasLCMethod) {
-        target[lcMethodName].bind(target)(value, enhancement);
+    const callEnhancement = (enhancedArgs, fallback = () => undefined) => {
+      let value;
+      try {
+        value = trace(context, 'enhancement', enhancedArgs, () =>
+          enhancement[methodName](...enhancedArgs),
+        );
+      } catch (error) {
+        value = handleError(error, fallback);
       }
 
-      return callTarget ? target[name](...args) : value;
-    });
-  } else {
-    if (hasLCMethod) {
-      target[lcMethodName].bind(target)(enhancedValue, enhancement);
+      return handlesErrors && isPromise(value)
+        ? value.then(undefined, (error) => handleError(error, fallback))
+        : value;
+    };
+    let result;
+    if (strategy === strategies.after) {
+      result = resolveValue(next(), (targetValue) =>
+        stopsChain(targetValue)
+          ? targetValue
+          : resolveValue(callEnhancement([targetValue, ...args]), (value) => {
+              callLCMethods(value);
+              return callTarget && !stopsChain(value) ? targetValue : value;
+            }),
+      );
+    } else if (strategy === strategies.around) {
+      /**
+       * Gets the value of the target method, in case the enhancement fails and the error
+       * is handled, as the target method still needs to be called.
+       *
+       * @returns {*}
+       * @ignore
+       */
+      const fallback = () => (nextResult ? nextResult.value : next());
+      /**
+       * The `next` function the enhancement method receives. If the enhancement sends
+       * arguments, they replace the original ones.
+       *
+       * @param {...*} nextArgs  The arguments for the target method.
+       * @returns {*} What the target method returned.
+       * @ignore
+       */
+      const callNext = (...nextArgs) => next(nextArgs.length ? nextArgs : args);
+      result = resolveValue(callEnhancement([callNext, ...args], fallback), (value) => {
+        callLCMethods(value);
+        return value;
+      });
+    } else if (strategy === strategies.replace) {
+      result = resolveValue(callEnhancement(args), (value) => {
+        callLCMethods(value);
+        return value;
+      });
+    } else {
+      result = resolveValue(callEnhancement(args), (returned) => {
+        const replacement = argsReplacements.has(returned) ? returned : null;
+        const value = replacement ? undefined : returned;
+        callLCMethods(value);
+        if (!callTarget || stopsChain(value)) {
+          return value;
+        }
+
+        return next(replacement ? replacement.args : args);
+      });
     }
 
-    result = callTarget ? target[name].bind(target)(...args) : enhancedValue;
-  }
+    return result;
+  };
+  /**
+   * The composed method, called when the implementation uses the proxy, so it starts a
+   * new context.
+   *
+   * @param {...*} args  The arguments for the method.
+   * @returns {*}
+   * @ignore
+   */
+  const method = (...args) => {
+    if (info.revision !== revision) {
+      // The layer changed after the method was obtained, so the current one is used.
+      return info.proxy[name](...args);
+    }
 
-  return result;
+    callsCount += 1;
+    const context = { id: callsCount, results: [] };
+    const result = run(context, args);
+    const lcAllMethodName = `${lcMethodName}s`;
+    if (typeof target[lcAllMethodName] !== 'function') {
+      return result;
+    }
+
+    return resolveValue(result, (value) => {
+      const hookArgs = [context.results];
+      trace(
+        context,
+        'hook',
+        hookArgs,
+        () => applyTargetMethod(target, target[lcAllMethodName], hookArgs),
+        lcAllMethodName,
+      );
+      return value;
+    });
+  };
+
+  composedMethods.set(method, run);
+  return method;
 };
 /**
  * Creates a proxy for a target class instance so when a method is called, it will check
  * if the enhancement class implements its in order to trigger that one before the
  * original.
+ * The proxy also allows the enhancement to define properties: getters and setters take
+ * precedence over the properties of the target, and the properties only the enhancement
+ * has (its "state") are read and written directly on the enhancement.
+ * The definition options decide which members of the enhancement can intercept the ones
+ * of the target, and if the members only the enhancement has are visible.
  *
- * @param {Class}  ProxyClass   The definition of the proxy class. This is needed in order
- *                              to return it when Aurelia asks for the instance
- *                              constructor.
- * @param {Object} target       The target class instance to proxy.
- * @param {Object} enhancement  The instance that will add methods to the target class.
+ * @param {Class}                 InstanceClass  The class that was instantiated: the
+ *                                               proxy class, or a subclass of it. This is
+ *                                               needed in order to return it when Aurelia
+ *                                               asks for the instance constructor.
+ * @param {Object}                target         The target class instance to proxy.
+ * @param {Function}              create         The function to create the instance that
+ *                                               will add methods to the target class,
+ *                                               with the class it receives. If the
+ *                                               enhancement is lazy, it's called the
+ *                                               first time the instance is needed.
+ * @param {EnhancementDefinition} definition     The definition of the enhancement, needed
+ *                                               in order to read its settings.
+ * @param {?Object}               [existing]     An instance of the enhancement that
+ *                                               already exists, in case the layer is
+ *                                               being moved.
  * @returns {Object} A proxied version of the `target`.
  * @ignore
  */
-const enhanceInstance = (ProxyClass, target, enhancement) =>
-  new Proxy(target, {
+const enhanceInstance = (InstanceClass, target, create, definition, existing = null) => {
+  /**
+   * The object the enhancement is applied to. It can change if enhancements get attached
+   * or detached at runtime.
+   *
+   * @type {Object}
+   * @ignore
+   */
+  let currentTarget;
+  /**
+   * The definition of the enhancement the layer currently has.
+   *
+   * @type {EnhancementDefinition}
+   * @ignore
+   */
+  let currentDefinition;
+  /**
+   * The function to create the instance of the enhancement.
+   *
+   * @type {Function}
+   * @ignore
+   */
+  let createInstance;
+  /**
+   * The class of the enhancement. If the enhancement was replaced (by a hot module
+   * reload), it's the latest version.
+   *
+   * @type {Class}
+   * @ignore
+   */
+  let Enhancement;
+  let only;
+  let except;
+  let expose;
+  /**
+   * The instance of the enhancement, or `null` if it's lazy and it wasn't needed yet.
+   *
+   * @type {?Object}
+   * @ignore
+   */
+  let instance;
+  /**
+   * The object used to check the members of the enhancement: its instance or, while it
+   * doesn't exist, its prototype.
+   *
+   * @type {Object}
+   * @ignore
+   */
+  let enhancement;
+  /**
+   * The lifecycle methods that release the resources the enhancement tracked.
+   *
+   * @type {string[]}
+   * @ignore
+   */
+  let releaseHooks;
+  /**
+   * The number of replacements the layer already checked.
+   *
+   * @type {number}
+   * @ignore
+   */
+  let replacements = replacementsCount;
+  /**
+   * The number of times the state of the layer changed, so the composed methods can know
+   * if they're outdated.
+   *
+   * @type {number}
+   * @ignore
+   */
+  let revision = 0;
+  /**
+   * The methods created by the proxy, so it can return the same function every time a
+   * method is accessed, until the target or the enhancement change it.
+   *
+   * @type {Map<string, Object>}
+   * @ignore
+   */
+  const methods = new Map();
+  /**
+   * Gets the instance of the enhancement, and creates it if it doesn't exist.
+   *
+   * @returns {Object}
+   * @ignore
+   */
+  const getInstance = () => {
+    if (!instance) {
+      instance = createInstance(Enhancement);
+      enhancement = instance;
+    }
+
+    return instance;
+  };
+  /**
+   * Gets the object with the own properties of the enhancement. While the instance
+   * doesn't exist, there are none.
+   *
+   * @returns {Object}
+   * @ignore
+   */
+  const getOwnProperties = () => instance || {};
+  /**
+   * Changes what the layer does: the target, and the enhancement applied to it. The
+   * composed methods are discarded, so they'll be created again for the new state.
+   *
+   * @param {EnhancedInstanceState} state  The new state for the layer.
+   * @ignore
+   */
+  const setState = (state) => {
+    currentTarget = state.target;
+    currentDefinition = state.definition;
+    createInstance = state.create;
+    Enhancement = getLatestEnhancement(currentDefinition.Enhancement);
+    releaseHooks = getReleaseHooks(Enhancement);
+    ({ only, except, expose } = currentDefinition);
+    instance = state.instance;
+    enhancement = instance || Enhancement.prototype;
+    methods.clear();
+    revision++;
+    if (!instance && !currentDefinition.lazy) {
+      getInstance();
+    }
+  };
+  /**
+   * Checks if the class of the enhancement was replaced, in order to replace its
+   * instance: the old instance gets disposed and, unless it wasn't created yet, a new one
+   * is created with the same parameters.
+   *
+   * @ignore
+   */
+  const checkReplacements = () => {
+    if (replacements !== replacementsCount) {
+      replacements = replacementsCount;
+      const Latest = getLatestEnhancement(Enhancement);
+      if (Latest !== Enhancement) {
+        const previous = instance;
+        setState({
+          target: currentTarget,
+          create: createInstance,
+          definition: currentDefinition,
+          instance: null,
+        });
+        disposeEnhancement(previous);
+        if (previous) {
+          getInstance();
+        }
+      }
+    }
+  };
+  const info = {
+    get target() {
+      return currentTarget;
+    },
+    get Enhancement() {
+      checkReplacements();
+      return Enhancement;
+    },
+    get enhancement() {
+      checkReplacements();
+      return getInstance();
+    },
+    get revision() {
+      return revision;
+    },
+    /**
+     * Gets the current state of the layer, so it can be moved to another layer.
+     *
+     * @returns {EnhancedInstanceState}
+     * @ignore
+     */
+    getState: () => ({
+      target: currentTarget,
+      create: createInstance,
+      definition: currentDefinition,
+      instance,
+    }),
+    setState,
+    /**
+     * Disposes the instance of the enhancement, if it was created.
+     *
+     * @ignore
+     */
+    dispose: () => disposeEnhancement(instance),
+  };
+  setState({ target, create, definition, instance: existing });
+  /**
+   * Gets a method from the cache, or creates it if the methods of the target or the
+   * enhancement it was created for are no longer the same.
+   *
+   * @param {string}   name              The name of the method.
+   * @param {*}        targetValue       The current value of the target property.
+   * @param {Function} enhancementValue  The current method of the enhancement.
+   * @param {Function} createMethod      The function to create the method.
+   * @returns {Function}
+   * @ignore
+   */
+  const getMethod = (name, targetValue, enhancementValue, createMethod) => {
+    let entry = methods.get(name);
+    if (
+      !entry ||
+      entry.targetValue !== targetValue ||
+      entry.enhancementValue !== enhancementValue
+    ) {
+      entry = { targetValue, enhancementValue, method: createMethod() };
+      methods.set(name, entry);
+    }
+
+    return entry.method;
+  };
+  /**
+   * Gets the value of a property of the target. If the target is the original instance
+   * and the property is a method, it gets wrapped so it runs following the rules of
+   * {@link callTargetFunction}: native methods, and all of them if the class extends a
+   * built-in, are bound to the target, as their internal slots are not available when
+   * the proxy is `this`. On the other layers, the methods are already wrapped.
+   *
+   * @param {Object} targetCls         The original class.
+   * @param {string} name              The name of the property.
+   * @param {*}      targetValue       The current value of the target property.
+   * @param {*}      enhancementValue  The current value of the enhancement property.
+   * @returns {*}
+   * @ignore
+   */
+  const getTargetValue = (targetCls, name, targetValue, enhancementValue) =>
+    typeof targetValue === 'function' &&
+    targetValue !== Object.prototype[name] &&
+    !Object.prototype.hasOwnProperty.call(targetCls, name) &&
+    !enhancedInstances.has(targetCls)
+      ? getMethod(name, targetValue, enhancementValue, () => {
+          if (!isNativeFn(targetValue) && !extendsBuiltIn(targetCls)) {
+            return Object.assign(function targetMethod(...args) {
+              return callTargetFunction(targetValue, targetCls, this, args);
+            }, targetValue);
+          }
+
+          const method = bindAccessor(targetValue, targetCls);
+          boundMethods.set(method, targetValue);
+          return method;
+        })
+      : targetValue;
+  /**
+   * Checks whether a member of the enhancement can intercept the one of the target.
+   *
+   * @param {string} name  The name of the member.
+   * @returns {boolean}
+   * @ignore
+   */
+  const intercepts = (name) => (!only || only.includes(name)) && !except.includes(name);
+  /**
+   * Checks whether a member that only the enhancement has should be visible on the proxy.
+   * The members on the `only` list are always visible.
+   *
+   * @param {string} name  The name of the member.
+   * @returns {boolean}
+   * @ignore
+   */
+  const exposes = (name) => expose || (!!only && only.includes(name));
+  /**
+   * Gets the name of the enhancement method that should be used for a method of the
+   * target: if the enhancement doesn't have it, but it has its equivalent lifecycle
+   * method for the other version of Aurelia, the name of the equivalent is used.
+   *
+   * @param {string} name  The name of the method.
+   * @returns {string}
+   * @ignore
+   */
+  const getMethodName = (name) => {
+    const alias = getLifecycleAlias(name);
+    return alias && !(name in enhancement) && typeof enhancement[alias] === 'function'
+      ? alias
+      : name;
+  };
+  /**
+   * Gets the descriptor of an accessor of the enhancement, if it can intercept the
+   * property of the target.
+   *
+   * @param {Object} targetCls  The original class.
+   * @param {string} name       The name of the property.
+   * @returns {?Object}
+   * @ignore
+   */
+  const getAccessor = (targetCls, name) => {
+    const accessor = getAccessorDescriptor(enhancement, name);
+    return accessor && intercepts(name) && (name in targetCls || exposes(name))
+      ? accessor
+      : null;
+  };
+  /**
+   * Gets the object that should handle the operations for a property that is not an
+   * accessor of the enhancement: if the property only exists on the enhancement (and it's
+   * visible), it's the enhancement, otherwise, the target.
+   *
+   * @param {Object} targetCls  The original class.
+   * @param {string} name       The name of the property.
+   * @returns {Object}
+   * @ignore
+   */
+  const getOwner = (targetCls, name) =>
+    !(name in targetCls) &&
+    exposes(name) &&
+    Object.prototype.hasOwnProperty.call(getOwnProperties(), name)
+      ? instance
+      : targetCls;
+  /**
+   * Checks whether a member is a lifecycle method that should release the resources the
+   * enhancement tracked with its disposer.
+   *
+   * @param {string} name  The name of the member.
+   * @returns {boolean}
+   * @ignore
+   */
+  const releasesOn = (name) =>
+    releaseHooks.includes(name) && !!instance && disposers.has(instance);
+  /**
+   * Wraps a lifecycle method so it will release the resources the enhancement tracked
+   * after it gets called. The method may not exist, in which case, the wrapper only
+   * releases the resources.
+   *
+   * @param {string}    name    The name of the method.
+   * @param {?Function} method  The method to wrap.
+   * @returns {Function}
+   * @ignore
+   */
+  const getReleaseMethod = (name, method) =>
+    getMethod(`release:${name}`, method, instance, () => {
+      const disposer = disposers.get(instance);
+      /**
+       * Releases the resources once the method is done, and passes through what it
+       * returned.
+       *
+       * @param {*} value  What the method returned.
+       * @returns {*}
+       * @ignore
+       */
+      const release = (value) => {
+        disposer.release();
+        return value;
+      };
+      const composed = composedMethods.get(method);
+      /**
+       * Calls the method, if it exists, and then releases the resources. If the method
+       * returns a `Promise`, the resources are released after it gets resolved.
+       *
+       * @param {...*} args  The arguments for the method.
+       * @returns {*}
+       * @ignore
+       */
+      const wrapper = (...args) =>
+        resolveValue(typeof method === 'function' ? method(...args) : undefined, release);
+      if (composed) {
+        composedMethods.set(wrapper, (context, args) =>
+          resolveValue(composed(context, args), release),
+        );
+      }
+
+      return wrapper;
+    });
+  /**
+   * The traps for the proxy. They receive the current target instead of the object the
+   * proxy was created for, as it changes when enhancements are attached or detached at
+   * runtime.
+   *
+   * @type {Object.<string, Function>}
+   * @ignore
+   */
+  const traps = {
     /**
      * This a proxy trap for when the implementation tries to access a property of the
      * proxy.
-     * It validates if its the constructor, in order to return the `ProxyClass`, then
-     * validates if it's a native method, then if it's present on the enhancement, and
-     * finally on the target class.
+     * It validates if its the constructor, in order to return the `InstanceClass`, then
+     * validates if the enhancement has a getter for it, then if it's a native method,
+     * then if it's a method present on the enhancement, and finally if it's a property of
+     * the target class or one that only the enhancement has.
+     * If the property is the lifecycle method that releases the resources the enhancement
+     * tracked, the method gets wrapped.
      *
      * @param {Object} targetCls  The original class.
      * @param {string} name       The name of the property.
@@ -177,37 +2065,83 @@ const enhanceInstance = (ProxyClass, target, enhancement) =>
      */
     get: (targetCls, name) => {
       let result;
+      const accessor = getAccessor(targetCls, name);
       if (name === 'constructor') {
-        result = ProxyClass;
+        result = InstanceClass;
+      } else if (accessor && accessor.get) {
+        result = accessor.get.call(getInstance());
       } else {
         const targetValue = targetCls[name];
         const targetIsFn = typeof targetValue === 'function';
-        const enhancementValue = enhancement[name];
+        const inTarget = name in targetCls;
+        const methodName = getMethodName(name);
+        const enhancementValue = enhancement[methodName];
         const enhancementIsFn = typeof enhancementValue === 'function';
-        if (targetIsFn && isNativeFn(targetValue)) {
-          result = targetValue;
+        if (targetIsFn && isNativeFn(boundMethods.get(targetValue) || targetValue)) {
+          result = getTargetValue(targetCls, name, targetValue, enhancementValue);
+        } else if (enhancementIsFn && intercepts(name) && (inTarget || exposes(name))) {
+          result = getMethod(name, targetValue, enhancementValue, () =>
+            composeMethod(info, name, targetIsFn, methodName),
+          );
+        } else if (inTarget || !exposes(name)) {
+          result = getTargetValue(targetCls, name, targetValue, enhancementValue);
         } else if (enhancementIsFn) {
-          result = composeMethod(targetCls, enhancement, name, targetIsFn);
+          result = getMethod(name, targetValue, enhancementValue, () =>
+            instance
+              ? enhancementValue.bind(instance)
+              : (...args) => getInstance()[methodName](...args),
+          );
         } else {
-          result = targetValue;
+          result = enhancementValue;
         }
       }
 
+      return releasesOn(name) ? getReleaseMethod(name, result) : result;
+    },
+    /**
+     * This a proxy trap for when the implementation tries to write a property of the
+     * proxy.
+     * If the enhancement has a setter for it, the setter will be in charge, otherwise,
+     * the value will be written on the object that has the property (the target, or the
+     * enhancement, if only the enhancement has it).
+     *
+     * @param {Object} targetCls  The original class.
+     * @param {string} name       The name of the property.
+     * @param {*}      value      The value to write.
+     * @returns {boolean}
+     * @ignore
+     */
+    set: (targetCls, name, value) => {
+      let result;
+      const accessor = getAccessor(targetCls, name);
+      if (accessor && accessor.set) {
+        accessor.set.call(getInstance(), value);
+        result = true;
+      } else {
+        result = Reflect.set(getOwner(targetCls, name), name, value);
+      }
+
       return result;
     },
     /**
      * This is a proxy trap for when `in` is called, it validates first on the original
-     * class and then on the enhancement.
+     * class and then on the enhancement, if its members are visible. The lifecycle method
+     * that releases the resources the enhancement tracked is always available.
      *
      * @param {Object} targetCls  The original class.
      * @param {string} name       The name of the property.
      * @returns {boolean}
      * @ignore
      */
-    has: (targetCls, name) => name in targetCls || name in enhancement,
+    has: (targetCls, name) =>
+      name in targetCls ||
+      (getMethodName(name) in enhancement && exposes(name)) ||
+      releasesOn(name),
     /**
-     * This is a proxy trap for `getOwnPropertyDescriptor`, it first validates against the
-     * enhancement and then does a fallback to the original class.
+     * This is a proxy trap for `getOwnPropertyDescriptor`, it first validates if the
+     * enhancement has a getter for the property, in order to return a descriptor bound to
+     * the enhancement, then validates against the enhancement own properties and finally
+     * does a fallback to the original class.
      *
      * @param {Object} targetCls  The original class.
      * @param {string} name       The name of the property.
@@ -215,73 +2149,673 @@ const enhanceInstance = (ProxyClass, target, enhancement) =>
      * @ignore
      */
     getOwnPropertyDescriptor: (targetCls, name) => {
-      let result = Object.getOwnPropertyDescriptor(enhancement, name);
-      if (typeof result === 'undefined') {
-        result = Object.getOwnPropertyDescriptor(targetCls, name);
+      let result;
+      const accessor = getAccessor(targetCls, name);
+      if (accessor && accessor.get) {
+        result = {
+          configurable: true,
+          enumerable: accessor.enumerable,
+          get: bindAccessor(accessor.get, getInstance()),
+          set: accessor.set
+            ? bindAccessor(accessor.set, getInstance())
+            : (value) => Reflect.set(targetCls, name, value),
+        };
+      } else {
+        result = exposes(name)
+          ? Object.getOwnPropertyDescriptor(getOwnProperties(), name)
+          : undefined;
+        if (typeof result === 'undefined') {
+          result = Object.getOwnPropertyDescriptor(targetCls, name);
+        }
       }
 
-      return result;
-    },
-    /**
-     * This is a proxy trap for the `Object.keys` function. It gets the keys from the
-     * original class and then from the enhancement.
-     *
-     * @param {Object} targetCls  The original class.
-     * @returns {string[]}
-     * @ignore
-     */
-    ownKeys: (targetCls) => [
-      ...new Set([...Reflect.ownKeys(targetCls), ...Reflect.ownKeys(enhancement)]),
-    ],
-  });
+      return result;
+    },
+    /**
+     * This is a proxy trap for `defineProperty`, it defines the property on the object
+     * that has it: the target, or the enhancement, if only the enhancement has it. This
+     * is what Aurelia uses to observe the properties.
+     *
+     * @param {Object} targetCls   The original class.
+     * @param {string} name        The name of the property.
+     * @param {Object} descriptor  The descriptor of the property.
+     * @returns {boolean}
+     * @ignore
+     */
+    defineProperty: (targetCls, name, descriptor) =>
+      Reflect.defineProperty(getOwner(targetCls, name), name, descriptor),
+    /**
+     * This is a proxy trap for the `delete` operator, it removes the property from the
+     * object that has it: the target, or the enhancement, if only the enhancement has it.
+     *
+     * @param {Object} targetCls  The original class.
+     * @param {string} name       The name of the property.
+     * @returns {boolean}
+     * @ignore
+     */
+    deleteProperty: (targetCls, name) =>
+      Reflect.deleteProperty(getOwner(targetCls, name), name),
+    /**
+     * This is a proxy trap for the `Object.keys` function. It gets the keys from the
+     * original class and then the visible ones from the enhancement.
+     *
+     * @param {Object} targetCls  The original class.
+     * @returns {string[]}
+     * @ignore
+     */
+    ownKeys: (targetCls) => [
+      ...new Set([
+        ...Reflect.ownKeys(targetCls),
+        ...Reflect.ownKeys(getOwnProperties()).filter((name) => exposes(name)),
+      ]),
+    ],
+  };
+  const proxy = new Proxy(
+    target,
+    Object.keys(traps).reduce(
+      (acc, trap) => ({
+        ...acc,
+        /**
+         * Checks if the enhancement was replaced before calling the trap, and sends the
+         * trap the current target of the layer, instead of the one the proxy was created
+         * with, as it changes when enhancements are attached or detached.
+         *
+         * @param {Object} proxyTarget  The object the proxy was created with.
+         * @param {string} name         The name of the property.
+         * @param {*}      value        The value to write, for the `set` trap.
+         * @returns {*}
+         * @ignore
+         */
+        [trap]: (proxyTarget, name, value) => {
+          checkReplacements();
+          return traps[trap](currentTarget, name, value);
+        },
+      }),
+      {},
+    ),
+  );
+  info.proxy = proxy;
+  enhancedInstances.set(proxy, info);
+  return proxy;
+};
+/**
+ * Gets the list of enhancements a class was created with, in the order they were sent to
+ * {@link enhance}. If the class was enhanced more than once, the enhancements of the
+ * first call will be first on the list.
+ *
+ * @param {Class} Cls  The enhanced class.
+ * @returns {Class[]} If the class is not enhanced, the list will be empty.
+ */
+const getEnhancements = (Cls) => {
+  const list = [];
+  let current = Cls;
+  while (enhancedClasses.has(current)) {
+    const { Target, Enhancement } = enhancedClasses.get(current);
+    list.unshift(Enhancement);
+    current = Target;
+  }
+
+  return list;
+};
+/**
+ * Gets the instance of the original class an enhanced instance was created with.
+ *
+ * @param {Object} instance  The enhanced instance.
+ * @returns {Object} If the instance is not enhanced, it will be returned as it is.
+ * @ignore
+ */
+const getTargetInstance = (instance) => {
+  let current = instance;
+  while (enhancedInstances.has(current)) {
+    current = enhancedInstances.get(current).target;
+  }
+
+  return current;
+};
+/**
+ * Saves an enhanced instance as the one the methods of its original instance run with.
+ * The layers of enhancements are created from the inside out, so the last one is the
+ * ViewModel.
+ *
+ * @param {Object} proxy  The enhanced instance.
+ * @returns {Object} The same enhanced instance.
+ * @ignore
+ */
+const setReceiver = (proxy) => {
+  receivers.set(getTargetInstance(proxy), proxy);
+  return proxy;
+};
+/**
+ * Finds the information of the layer of an enhanced instance that has an enhancement. If
+ * the enhancement was replaced, the layers with any of its versions will match.
+ *
+ * @param {Object} instance     The enhanced instance.
+ * @param {Class}  Enhancement  The class of the enhancement.
+ * @returns {?EnhancedInstanceInfo}
+ * @ignore
+ */
+const findEnhancedInstance = (instance, Enhancement) => {
+  const Latest = getLatestEnhancement(Enhancement);
+  let result = null;
+  let current = instance;
+  while (enhancedInstances.has(current)) {
+    const info = enhancedInstances.get(current);
+    if (info.Enhancement === Latest) {
+      result = info;
+      break;
+    }
+
+    current = info.target;
+  }
+
+  return result;
+};
+/**
+ * Gets the instance of an enhancement that was created for an enhanced instance.
+ *
+ * @param {Object} instance     The enhanced instance (the ViewModel).
+ * @param {Class}  Enhancement  The class of the enhancement.
+ * @returns {?Object} If the instance wasn't enhanced with the class, it will return
+ *                    `null`.
+ * @example
+ *
+ *   const formConfirmation = getEnhancementInstance(viewModel, FormConfirmation);
+ *
+ */
+const getEnhancementInstance = (instance, Enhancement) => {
+  const info = findEnhancedInstance(instance, Enhancement);
+  return info ? info.enhancement : null;
+};
+/**
+ * Gets the list of enhancements an enhancement requires to be applied before it.
+ *
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @returns {Class[]}
+ * @throws {Error} If the `requires` property is not a list of classes.
+ * @ignore
+ */
+const getRequirements = (Enhancement) => {
+  const { requires = [] } = Enhancement;
+  if (!Array.isArray(requires) || requires.some((item) => typeof item !== 'function')) {
+    throw new Error(
+      `The requirements of '${Enhancement.name}' should be a list of enhancement classes`,
+    );
+  }
+
+  return requires;
+};
+/**
+ * Validates that the enhancements an enhancement requires were applied to the target
+ * before it, and that there are no circular requirements.
+ *
+ * @param {Class} Target       The class that is being enhanced.
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @throws {Error} If there's a circular requirement, or a required enhancement is
+ *                 missing.
+ * @ignore
+ */
+const validateRequirements = (Target, Enhancement) => {
+  /**
+   * Follows the requirements of an enhancement, looking for one that requires an
+   * enhancement that is already on the path.
+   *
+   * @param {Class}   Current  The enhancement to check.
+   * @param {Class[]} path     The enhancements that required it.
+   * @returns {?Class[]} The path of the cycle, or `null` if there's none.
+   * @ignore
+   */
+  const findCycle = (Current, path) =>
+    path.includes(Current)
+      ? [...path, Current]
+      : getRequirements(Current).reduce(
+          (cycle, Required) => cycle || findCycle(Required, [...path, Current]),
+          null,
+        );
+  const cycle = findCycle(Enhancement, []);
+  if (cycle) {
+    throw new Error(
+      `Circular enhancement requirement: ${cycle.map(({ name }) => name).join(' -> ')}`,
+    );
+  }
+
+  const applied = getEnhancements(Target);
+  const missing = getRequirements(Enhancement).find(
+    (Required) => !applied.includes(Required),
+  );
+  if (missing) {
+    throw new Error(
+      `'${Enhancement.name}' requires '${missing.name}', but it wasn't applied before it ` +
+        `on '${Target.name}'`,
+    );
+  }
+};
+/**
+ * The property where `aurelia-polyfills` stores the metadata of a class. The enhanced
+ * classes have their own, so the metadata defined on them doesn't end up on the original
+ * class.
+ *
+ * @type {string}
+ * @ignore
+ */
+const METADATA_CONTAINER_KEY = '__metadata__';
+/**
+ * The metadata of an enhancement that is only used to create its instances, so it
+ * shouldn't be merged into the enhanced class.
+ *
+ * @type {string[]}
+ * @ignore
+ */
+const ENHANCEMENT_ONLY_METADATA_KEYS = [
+  PARAM_TYPES_METADATA_KEY,
+  AU2_PARAM_TYPES_METADATA_KEY,
+  'aurelia:registration',
+  'aurelia:invoker',
+];
+/**
+ * Checks whether there's a polyfill that can define and read metadata.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const supportsMetadata = () =>
+  typeof Reflect.getOwnMetadata === 'function' &&
+  typeof Reflect.defineMetadata === 'function';
+/**
+ * Gets the keys of the metadata a class has. It supports both `reflect-metadata` and
+ * `aurelia-polyfills`, which doesn't have a function to read the keys.
+ *
+ * @param {Class} Cls  The class from where the keys will be read.
+ * @returns {string[]}
+ * @ignore
+ */
+const getOwnMetadataKeys = (Cls) => {
+  let result = [];
+  if (typeof Reflect.getOwnMetadataKeys === 'function') {
+    result = Reflect.getOwnMetadataKeys(Cls);
+  } else if (Object.prototype.hasOwnProperty.call(Cls, METADATA_CONTAINER_KEY)) {
+    result = Object.keys(Cls[METADATA_CONTAINER_KEY][undefined] || {});
+  }
+
+  return result;
+};
+/**
+ * Merges the resource metadata of an enhancement into the one of the target: the bindable
+ * properties the target doesn't have are added to a copy of its resource.
+ *
+ * @param {Object} target       The resource metadata of the target.
+ * @param {Object} enhancement  The resource metadata of the enhancement.
+ * @returns {Object}
+ * @ignore
+ */
+const mergeResources = (target, enhancement) => {
+  let result = target;
+  if (Array.isArray(target.properties) && Array.isArray(enhancement.properties)) {
+    const names = target.properties.map(({ name }) => name);
+    const extra = enhancement.properties.filter(({ name }) => !names.includes(name));
+    if (extra.length) {
+      result = Object.assign(Object.create(Object.getPrototypeOf(target)), target, {
+        properties: [...target.properties, ...extra],
+        attributes: extra.reduce(
+          (acc, property) => ({ ...acc, [property.attribute]: property }),
+          { ...target.attributes },
+        ),
+      });
+    }
+  }
+
+  return result;
+};
+/**
+ * Defines the metadata of an enhanced class: it has the metadata of the target, so
+ * Aurelia can find things like `@customElement` or `@singleton`, and the metadata of the
+ * enhancement the target doesn't have. If both have resource metadata, the bindable
+ * properties of the enhancement are merged.
+ *
+ * @param {Class} ProxyClass   The enhanced class.
+ * @param {Class} Target       The class that was enhanced.
+ * @param {Class} Enhancement  The class that enhanced it.
+ * @ignore
+ */
+const defineMetadata = (ProxyClass, Target, Enhancement) => {
+  const targetKeys = getOwnMetadataKeys(Target);
+  targetKeys.forEach((key) => {
+    let value = Reflect.getOwnMetadata(key, Target);
+    const enhancementValue = Reflect.getOwnMetadata(key, Enhancement);
+    if (key === RESOURCE_METADATA_KEY && enhancementValue) {
+      value = mergeResources(value, enhancementValue);
+    }
+
+    Reflect.defineMetadata(key, value, ProxyClass);
+  });
+
+  getOwnMetadataKeys(Enhancement)
+    .filter(
+      (key) => !targetKeys.includes(key) && !ENHANCEMENT_ONLY_METADATA_KEYS.includes(key),
+    )
+    .forEach((key) => {
+      Reflect.defineMetadata(key, Reflect.getOwnMetadata(key, Enhancement), ProxyClass);
+    });
+};
+/**
+ * Creates a class for an enhancement that is not a class, so it can be treated like any
+ * other enhancement: the settings become its static properties (`inject`, `strategy`,
+ * etc.), and the enhanced classes use `create` to generate its instances.
+ *
+ * @param {string}              name      The name for the class.
+ * @param {Function}            create    The function that generates the enhancement
+ *                                        instances. It receives the same parameters as
+ *                                        the constructor of an enhancement class.
+ * @param {EnhancementSettings} settings  The static properties for the class.
+ * @returns {Class}
+ * @throws {Error} If the settings are not an object.
+ * @ignore
+ */
+const createEnhancementClass = (name, create, settings) => {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error(`The settings of '${name}' should be an object`);
+  }
+
+  const statics = { ...settings };
+  delete statics.name;
+  /**
+   * The class that represents the enhancement. It's never instantiated: the enhanced
+   * classes call the factory instead.
+   *
+   * @ignore
+   */
+  const EnhancementClass = function FactoryEnhancement() {};
+  Object.defineProperty(EnhancementClass, 'name', { value: name });
+  enhancementFactories.set(EnhancementClass, create);
+  return Object.assign(EnhancementClass, statics);
+};
+/**
+ * Creates an instance of an enhancement: if it was created from a factory, the factory
+ * gets called, otherwise, the class gets instantiated.
+ *
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @param {Array} args         The parameters for the constructor or the factory.
+ * @returns {Object}
+ * @throws {Error} If the factory doesn't return an object.
+ * @ignore
+ */
+const createEnhancementInstance = (Enhancement, args) => {
+  const factory = enhancementFactories.get(Enhancement);
+  if (!factory) {
+    return new Enhancement(...args);
+  }
+
+  const result = factory(...args);
+  if (!result || typeof result !== 'object') {
+    throw new Error(
+      `'${Enhancement.name}' should create an object with the enhancement methods`,
+    );
+  }
+
+  return result;
+};
+/**
+ * Gets the options for a use of an enhancement: the ones sent are merged with its static
+ * `defaultOptions`, and then validated with its static `validateOptions`, if it has it.
+ *
+ * @param {Class}  Enhancement  The class of the enhancement.
+ * @param {Object} [options]    The options for this use of the enhancement.
+ * @returns {?Object} If the enhancement wasn't configured and doesn't have default
+ *                    options, it will return `null`.
+ * @throws {Error} If the options are not an object, or they're invalid.
+ * @ignore
+ */
+const getEnhancementOptions = (Enhancement, options) => {
+  const { defaultOptions, validateOptions } = Enhancement;
+  /**
+   * Checks whether a value can be used as options: an object that is not a list.
+   *
+   * @param {*} value  The value to validate.
+   * @returns {boolean}
+   * @ignore
+   */
+  const isObject = (value) =>
+    !!value && typeof value === 'object' && !Array.isArray(value);
+  if (
+    (typeof options !== 'undefined' && !isObject(options)) ||
+    (typeof defaultOptions !== 'undefined' && !isObject(defaultOptions))
+  ) {
+    throw new Error(`The options of '${Enhancement.name}' should be an object`);
+  }
+
+  let result = null;
+  if (options || defaultOptions) {
+    result = { ...defaultOptions, ...options };
+    if (typeof validateOptions === 'function') {
+      validateOptions.call(Enhancement, result);
+    }
+  }
+
+  return result;
+};
+/**
+ * An enhancement that does nothing, used when an enhancement is detached from an instance
+ * and there's no other one to take its place, or when the condition of an enhancement is
+ * not met. It's never instantiated: the layers that use it create an empty object.
+ *
+ * @ignore
+ */
+const DetachedEnhancement = function DetachedEnhancement() {};
+/**
+ * The definition for {@link DetachedEnhancement}: it can't intercept nor expose anything.
+ *
+ * @type {EnhancementDefinition}
+ * @ignore
+ */
+const detachedDefinition = {
+  Enhancement: DetachedEnhancement,
+  only: [],
+  except: [],
+  expose: false,
+  options: null,
+  condition: null,
+  lazy: false,
+};
+/**
+ * Checks whether the prototype of an enhancement, or the ones it inherits, define members
+ * besides the constructor. A lazy enhancement needs them, as they're the only ones its
+ * layer knows about before instantiating it.
+ *
+ * @param {Class} Enhancement  The class of the enhancement.
+ * @returns {boolean}
+ * @ignore
+ */
+const hasPrototypeMembers = (Enhancement) => {
+  let result = false;
+  let current = Enhancement.prototype;
+  while (!result && current && current !== Object.prototype) {
+    result = Object.getOwnPropertyNames(current).some((name) => name !== 'constructor');
+    current = Object.getPrototypeOf(current);
+  }
+
+  return result;
+};
+/**
+ * Normalizes an enhancement sent to {@link enhance}, validating its options.
+ *
+ * @param {Class | EnhancementOptions} enhancement  The class of the enhancement, or an
+ *                                                  object with its options.
+ * @returns {EnhancementDefinition}
+ * @throws {Error} If the enhancement is not a class or the options are invalid.
+ * @throws {Error} If the enhancement is lazy but its class doesn't define any member,
+ *                 like the ones created with {@link fromFactory} or {@link fromHooks}.
+ * @ignore
+ */
+const getDefinition = (enhancement) => {
+  let result;
+  if (typeof enhancement === 'function') {
+    result = {
+      Enhancement: enhancement,
+      only: null,
+      except: [],
+      expose: true,
+      options: getEnhancementOptions(enhancement),
+      condition: null,
+      lazy: !!enhancement.lazy,
+    };
+  } else if (enhancement && typeof enhancement === 'object') {
+    const {
+      use,
+      only = null,
+      except = [],
+      expose = true,
+      options,
+      when: condition = null,
+      lazy = use && use.lazy,
+    } = enhancement;
+    if (typeof use !== 'function') {
+      throw new Error("The enhancement options should have a class on 'use'");
+    }
+
+    if ((only !== null && !Array.isArray(only)) || !Array.isArray(except)) {
+      throw new Error(
+        `The 'only' and 'except' options of '${use.name}' should be lists of names`,
+      );
+    }
+
+    if (condition !== null && typeof condition !== 'function') {
+      throw new Error(`The condition of '${use.name}' should be a function`);
+    }
+
+    result = {
+      Enhancement: use,
+      only,
+      except,
+      expose: !!expose,
+      options: getEnhancementOptions(use, options),
+      condition,
+      lazy: !!lazy,
+    };
+  } else {
+    throw new Error('An enhancement should be a class or an object with its options');
+  }
+
+  if (result.lazy && !hasPrototypeMembers(result.Enhancement)) {
+    throw new Error(
+      `'${result.Enhancement.name}' can't be lazy, as it doesn't define its methods on ` +
+        'the class',
+    );
+  }
+
+  return result;
+};
 /**
  * Creates a proxy from a target class declaration in order to:
  * 1. Concatenate the list of dependencies both classes need.
  * 2. Instance both the target and the enhancement classes, sending the right
  * dependencies.
  *
- * @param {Class} Target       The target class to proxy.
- * @param {Class} Enhancement  The class that will add methods to the target.
+ * @param {Class}                 Target      The target class to proxy.
+ * @param {EnhancementDefinition} definition  The definition of the enhancement that will
+ *                                            add methods to the target.
  * @returns {Class} A proxied version of the `Target`.
  * @ignore
  */
-const proxyClass = (Target, Enhancement) => {
-  const injectData = getInjectData(Target.inject, Enhancement.inject);
+const proxyClass = (Target, definition) => {
+  const { Enhancement, options, condition, lazy } = definition;
+  validateMethodSettings(Enhancement);
+  validateRequirements(Target, Enhancement);
+  const requirements = getRequirements(Enhancement);
+  const targetDependencies = getDependencies(Target);
+  const conditionDependencies = condition ? getDependencies(condition) : [];
+  const enhancementDependencies = getDependencies(Enhancement).map((dep) =>
+    (condition || lazy) && (isResolver(dep) || !targetDependencies.includes(dep))
+      ? deferDependency(dep)
+      : dep,
+  );
+  const injectData = getInjectData(targetDependencies, [
+    ...conditionDependencies,
+    ...enhancementDependencies,
+  ]);
+  /**
+   * The static properties the enhanced class has, instead of the target.
+   *
+   * @type {Object}
+   * @ignore
+   */
+  const statics = {
+    inject: injectData.list,
+    [METADATA_CONTAINER_KEY]: {},
+  };
   const ProxyClass = new Proxy(Target, {
     /**
      * This is a proxy trap for the constructor; it instantiates the original class, then
      * the enhacement, creates a proxy with both together, and returns the proxy.
+     * The original class is instantiated using `newTarget`, so if the enhanced class was
+     * extended, the instance will have the prototype of the subclass.
+     * If the enhancement has a condition and it's not met, the enhancement is not
+     * instantiated and the proxy gets a layer that does nothing, so it still has the
+     * enhanced class as its constructor; and if the enhancement is lazy, it's instantiated
+     * the first time it's needed.
      *
      * @param {T}     TargetCls  The original class.
      * @param {Array} args       The arguments sent to the constructor.
+     * @param {Class} newTarget  The class `new` was called with.
      * @returns {Proxy<T>}
      * @template T  The type of the class to proxy.
      * @ignore
      */
-    construct: (TargetCls, args) => {
-      const targetInstance = new TargetCls(...injectData.getForTarget(args));
-      const enhancementInstance = new Enhancement(
-        targetInstance,
-        ...injectData.getForEnhancement(args),
+    construct: (TargetCls, args, newTarget) => {
+      const targetInstance = Reflect.construct(
+        TargetCls,
+        injectData.getForTarget(args),
+        newTarget,
       );
+      const dependencies = injectData.getForEnhancement(args);
+      if (
+        condition &&
+        !condition(
+          { target: targetInstance, Enhancement, options },
+          ...dependencies.slice(0, conditionDependencies.length),
+        )
+      ) {
+        return setReceiver(
+          enhanceInstance(newTarget, targetInstance, () => ({}), detachedDefinition),
+        );
+      }
+
+      /**
+       * Creates the instance of the enhancement for this instance of the target. It
+       * receives the class, as the enhancement may be replaced by a new version.
+       *
+       * @param {Class} Cls  The class of the enhancement.
+       * @returns {Object}
+       * @ignore
+       */
+      const createEnhancement = (Cls) =>
+        createEnhancementInstance(Cls, [
+          targetInstance,
+          ...requirements.map((Required) =>
+            getEnhancementInstance(targetInstance, Required),
+          ),
+          ...dependencies.slice(conditionDependencies.length).map(resolveDependency),
+          ...(options ? [options] : []),
+        ]);
 
-      return enhanceInstance(ProxyClass, targetInstance, enhancementInstance);
+      return setReceiver(
+        enhanceInstance(newTarget, targetInstance, createEnhancement, definition),
+      );
     },
     /**
      * This a proxy trap for when the implementation tries to access a property of the
      * proxy.
      * It checks if the property is `inject` in order to return the list of dependencies
-     * for both classes (original and enhancement).
+     * for both classes (original and enhancement), or the container of the metadata.
      *
      * @param {Object} target  The original class.
      * @param {string} name    The name of the property.
      * @returns {*}
      * @ignore
      */
-    get: (target, name) => (name === 'inject' ? injectData.list : target[name]),
+    get: (target, name) =>
+      Object.prototype.hasOwnProperty.call(statics, name) ? statics[name] : target[name],
     /**
      * This is a proxy trap for `getOwnPropertyDescriptor`, it's used to validate if the
-     * property to access is the list of dependencies.
+     * property to access is the list of dependencies, or the container of the metadata.
      *
      * @param {Object} target  The original class.
      * @param {string} name    The name of the property.
@@ -289,22 +2823,29 @@ const proxyClass = (Target, Enhancement) => {
      * @ignore
      */
     getOwnPropertyDescriptor: (target, name) =>
-      name === 'inject'
+      Object.prototype.hasOwnProperty.call(statics, name)
         ? {
             configurable: true,
             enumerable: true,
-            value: injectData.list,
+            value: statics[name],
           }
         : Object.getOwnPropertyDescriptor(target, name),
   });
 
+  enhancedClasses.set(ProxyClass, { Target, Enhancement });
+  if (supportsMetadata()) {
+    defineMetadata(ProxyClass, Target, Enhancement);
+  }
+
   return ProxyClass;
 };
 /**
  * Creates a function to enhance an Aurelia's class with other class(es).
  * This method has this sintax because is intended to be used as a decorator.
  *
- * @param {...Class} enhancements  The class or list of classes to enhance the target.
+ * @param {...(Class|EnhancementOptions)} enhancements
+ * The class or list of classes to enhance the target; each one can also be an object with
+ * options to scope what it can intercept.
  * @returns {EnhancementCreator}
  * @example
  *
@@ -319,8 +2860,723 @@ const proxyClass = (Target, Enhancement) => {
  *
  *   enhance(MyEnhancement)(MyViewModel);
  *
+ * @example
+ *
+ * <caption>With options:</caption>
+ *
+ * \@enhance({ use: MyEnhancement, only: ['attached', 'detached'] })
+ * class MyViewModel { ... }
+ *
+ * @example
+ *
+ * <caption>With options for the enhancement:</caption>
+ *
+ * \@enhance(withOptions(MyEnhancement, { message: 'Are you sure?' }))
+ * class MyViewModel { ... }
+ *
+ */
+const enhance = (...enhancements) => {
+  const definitions = enhancements.map(getDefinition);
+  return (Target) =>
+    definitions.reduce((Current, definition) => proxyClass(Current, definition), Target);
+};
+
+/**
+ * Configures a use of an enhancement: the options will be sent to its constructor after
+ * its dependencies, so the same enhancement can be applied with different options.
+ *
+ * @param {Class | EnhancementOptions} enhancement  The class of the enhancement, or an
+ *                                                  object with its options.
+ * @param {Object}                     options      The options for the enhancement.
+ * @returns {EnhancementOptions}
+ * @example
+ *
+ * \@enhance(withOptions(FormConfirmation, { message: 'Leave?', flag: 'isSaved' }))
+ * class MyForm { ... }
+ *
+ */
+const withOptions = (enhancement, options) => ({
+  ...(typeof enhancement === 'function' ? { use: enhancement } : enhancement),
+  options,
+});
+/**
+ * Creates an enhancement from a factory function: every time the target gets
+ * instantiated, the factory receives the same parameters as the constructor of an
+ * enhancement class (the target, the required enhancements, the dependencies and the
+ * options), and it should return an object with the enhancement methods.
+ *
+ * @param {Function}            factory        The function to create the enhancements.
+ * @param {EnhancementSettings} [settings={}]  The settings for the enhancement, like
+ *                                             `inject` or `strategy`.
+ * @returns {Class} A class that can be used like any other enhancement.
+ * @throws {Error} If the factory is not a function.
+ * @example
+ *
+ *   const LogStatus = fromFactory(
+ *     (viewModel, ea) => ({
+ *       attached() {
+ *         ea.publish('status', viewModel.name);
+ *       },
+ *     }),
+ *     { name: 'LogStatus', inject: [EventAggregator] },
+ *   );
+ *
+ */
+const fromFactory = (factory, settings = {}) => {
+  if (typeof factory !== 'function') {
+    throw new Error('An enhancement factory should be a function');
+  }
+
+  return createEnhancementClass(
+    settings.name || factory.name || 'FactoryEnhancement',
+    factory,
+    settings,
+  );
+};
+/**
+ * Creates an enhancement from an object with hooks: the hooks are called with the target
+ * as context, so they can access it using `this`. As the same object is used for all the
+ * instances, the hooks shouldn't have state; and if they need dependencies, a factory
+ * should be used instead.
+ *
+ * @param {Object}              hooks          The methods of the enhancement.
+ * @param {EnhancementSettings} [settings={}]  The settings for the enhancement, like
+ *                                             `strategy`.
+ * @returns {Class} A class that can be used like any other enhancement.
+ * @throws {Error} If the hooks are not an object, or the settings have dependencies.
+ * @example
+ *
+ *   const TrackAttached = fromHooks({
+ *     attached() {
+ *       this.isAttached = true;
+ *     },
+ *   });
+ *
+ */
+const fromHooks = (hooks, settings = {}) => {
+  const name = (settings && settings.name) || 'HooksEnhancement';
+  if (!hooks || typeof hooks !== 'object') {
+    throw new Error('The enhancement hooks should be an object');
+  }
+
+  if (settings && settings.inject) {
+    throw new Error(`'${name}' can't have dependencies, use a factory instead`);
+  }
+
+  return createEnhancementClass(
+    name,
+    (target) =>
+      Object.keys(hooks).reduce(
+        (acc, key) => ({
+          ...acc,
+          [key]: typeof hooks[key] === 'function' ? hooks[key].bind(target) : hooks[key],
+        }),
+        {},
+      ),
+    settings,
+  );
+};
+/**
+ * Makes an enhancement conditional: every time the target gets instantiated, the
+ * condition is called in order to decide whether the enhancement should be applied. If
+ * it's not, the enhancement is not instantiated, it doesn't intercept anything, and its
+ * dependencies are not obtained.
+ * The condition receives an object with the target instance, the class of the enhancement
+ * and its options, followed by its own dependencies, which can be defined with an
+ * `inject` property on the function.
+ *
+ * @param {Function}                   condition    The function that decides if the
+ *                                                  enhancement should be applied.
+ * @param {Class | EnhancementOptions} enhancement  The class of the enhancement, or an
+ *                                                  object with its options.
+ * @returns {EnhancementOptions}
+ * @example
+ *
+ * const isAuditEnabled = (context, featureFlags) => featureFlags.has('audit');
+ *   isAuditEnabled.inject = [FeatureFlags];
+ *
+ *   \@enhance(when(isAuditEnabled, AuditTrail))
+ *   class MyForm { ... }
+ *
+ */
+const when = (condition, enhancement) => ({
+  ...(typeof enhancement === 'function' ? { use: enhancement } : enhancement),
+  when: condition,
+});
+/**
+ * Creates an object a `before` enhancement method can return (or resolve) in order to
+ * replace the arguments the target method will receive. For the stacked enhancements, the
+ * next layer receives the new arguments. The enhancement methods that use the `around`
+ * strategy can send the new arguments to `next`.
+ *
+ * @param {...*} args  The arguments for the target method.
+ * @returns {Object}
+ * @example
+ *
+ *   class ParseParams {
+ *     activate(params, routeConfig) {
+ *       return replaceArgs({ ...params, id: Number(params.id) }, routeConfig);
+ *     }
+ *   }
+ *
+ */
+const replaceArgs = (...args) => {
+  const result = { args };
+  argsReplacements.add(result);
+  return result;
+};
+/**
+ * Sets the function that will handle the errors of the enhancement methods that use the
+ * `delegate` policy, when the target doesn't implement `onEnhancementError`.
+ *
+ * @param {?EnhancementErrorHandler} handler  The function to handle the errors, or `null`
+ *                                            to remove it.
+ */
+const setErrorHandler = (handler) => {
+  globalErrorHandler = handler;
+};
+/**
+ * Sets the function that will receive the events of the calls to the enhanced methods,
+ * for the enhancements that don't define their own on their static `tracer` property.
+ *
+ * @param {?EnhancementTracer} tracer  The function to receive the events, or `null` to
+ *                                     stop tracing.
+ * @throws {Error} If the tracer is not a function.
+ * @example
+ *
+ *   setTracer(createConsoleTracer());
+ *
+ */
+const setTracer = (tracer) => {
+  if (tracer !== null && typeof tracer !== 'function') {
+    throw new Error('The tracer should be a function');
+  }
+
+  globalTracer = tracer;
+};
+/**
+ * Generates a label for a phase of a traced call: the ID of the call, the enhancement,
+ * the method and the phase.
+ *
+ * @param {EnhancementTraceEvent} event  The event of the phase.
+ * @returns {string}
+ * @ignore
+ */
+const getTraceLabel = (event) => {
+  const phase = event.hook ? `${event.phase}:${event.hook}` : event.phase;
+  return `#${event.id} ${event.enhancement || 'Anonymous'}.${event.method} (${phase})`;
+};
+/**
+ * The number of decimals used to log how long the phases of the calls took.
+ *
+ * @type {number}
+ * @ignore
+ */
+const TRACE_DURATION_DECIMALS = 2;
+/**
+ * Creates a tracer that logs the phases of the calls when they finish, with how long they
+ * took, their arguments and results, or their errors.
+ *
+ * @param {Object} [logger]  The object to log the messages with. It needs `log` and
+ *                           `error` methods.
+ * @returns {EnhancementTracer}
+ */
+const createConsoleTracer = (logger = console) => (event) => {
+  if (event.type === 'end') {
+    const duration = event.duration.toFixed(TRACE_DURATION_DECIMALS);
+    const message = `[enhance] ${getTraceLabel(event)} ${duration}ms${
+      event.async ? ' async' : ''
+    }`;
+    if (event.error) {
+      logger.error(message, event.error);
+    } else {
+      logger.log(message, { args: event.args, result: event.result });
+    }
+  }
+};
+/**
+ * Creates a tracer that uses the User Timing API to add marks when the phases of the
+ * calls start and finish, and measures with how long they took, so they can be seen on
+ * the performance tools of the browser.
+ * The marks are cleared once the measure is added, but the measures are kept so they can
+ * be read, and it's up to the implementation to clear them (`perf.clearMeasures()`).
+ *
+ * @param {Performance} [perf]  The object with the `mark`, `measure` and `clearMarks`
+ *                              methods.
+ * @returns {EnhancementTracer}
+ * @throws {Error} If the User Timing API is not available.
+ */
+const createPerformanceTracer = (
+  perf = typeof performance !== 'undefined' ? performance : null,
+) => {
+  if (
+    !perf ||
+    ['mark', 'measure', 'clearMarks'].some((method) => typeof perf[method] !== 'function')
+  ) {
+    throw new Error('The performance tracer needs the User Timing API');
+  }
+
+  return (event) => {
+    const label = `[enhance] ${getTraceLabel(event)}`;
+    perf.mark(`${label} ${event.type}`);
+    if (event.type === 'end') {
+      perf.measure(label, `${label} start`, `${label} end`);
+      perf.clearMarks(`${label} start`);
+      perf.clearMarks(`${label} end`);
+    }
+  };
+};
+/**
+ * Sets the version of Aurelia the library works with. This should be called before
+ * enhancing any class, as the dependencies are read when a class gets enhanced.
+ *
+ * @param {EnhancementMode} mode  The mode to use.
+ * @throws {Error} If the mode is not supported.
+ */
+const setMode = (mode) => {
+  const supported = Object.values(modes);
+  if (!supported.includes(mode)) {
+    throw new Error(
+      `Invalid mode '${mode}', it should be one of: ${supported.join(', ')}`,
+    );
+  }
+
+  currentMode = mode;
+};
+/**
+ * Adds or replaces equivalences between the lifecycle methods of Aurelia 1 and Aurelia 2.
+ * An enhancement can implement any of the two names, and it will be called when the
+ * target gets asked for the other one.
+ *
+ * @param {Object.<string, string>} aliases  A dictionary with the Aurelia 1 names as keys
+ *                                           and the Aurelia 2 names as values.
+ * @example
+ *
+ *   setLifecycleAliases({ bind: 'binding' });
+ *
+ */
+const setLifecycleAliases = (aliases) => {
+  lifecycleAliases = { ...lifecycleAliases, ...aliases };
+};
+/**
+ * Checks whether a class was created by {@link enhance}.
+ *
+ * @param {Class} Cls  The class to validate.
+ * @returns {boolean}
+ */
+const isEnhanced = (Cls) => enhancedClasses.has(Cls);
+/**
+ * Gets the class that was enhanced by {@link enhance}, no matter how many times it was
+ * enhanced.
+ *
+ * @param {Class} Cls  The enhanced class.
+ * @returns {Class} If the class is not enhanced, it will be returned as it is.
+ */
+const getOriginalClass = (Cls) => {
+  let current = Cls;
+  while (enhancedClasses.has(current)) {
+    current = enhancedClasses.get(current).Target;
+  }
+
+  return current;
+};
+/**
+ * Gets an object the enhancements of an instance can use to share information. There's
+ * one object per instance, no matter how many times its class was enhanced, so the
+ * enhancements can call it with the target they received.
+ *
+ * @param {Object} instance  The enhanced instance (the ViewModel), or the target an
+ *                           enhancement received.
+ * @returns {Object}
+ * @example
+ *
+ *   class FormConfirmation {
+ *     constructor(viewModel) {
+ *       this._context = getContext(viewModel);
+ *     }
+ *   }
+ *
+ */
+const getContext = (instance) => {
+  const target = getTargetInstance(instance);
+  let result = sharedContexts.get(target);
+  if (!result) {
+    result = {};
+    sharedContexts.set(target, result);
+  }
+
+  return result;
+};
+/**
+ * Attaches an enhancement to an instance that already exists, as if it was the last one
+ * its class was enhanced with. The instance needs to be from an enhanced class, as it
+ * needs to be a proxy that can intercept its members.
+ * Since Aurelia is not involved, the dependencies of the enhancement need to be sent; and
+ * if it has a condition with dependencies, they go first, in the same order an enhanced
+ * class would have them on its `inject` list.
+ *
+ * @param {Object} instance
+ * The enhanced instance (the ViewModel).
+ * @param {Class | EnhancementOptions} enhancement
+ * The class of the enhancement,
+ * or an object with its options.
+ * @param {Array} [dependencies=[]]
+ * The dependencies for the condition, if
+ * it has any, and the enhancement.
+ * @returns {boolean} Whether or not the enhancement was attached: if the enhancement has
+ *                    a condition, and it's not met, it won't be attached.
+ * @throws {Error}
+ * If the instance is not enhanced, the enhancement is invalid, or one of its requirements
+ * is missing.
+ * @example
+ *
+ *   attachEnhancement(viewModel, FormConfirmation, [dialogService]);
+ *
+ */
+const attachEnhancement = (instance, enhancement, dependencies = []) => {
+  const info = enhancedInstances.get(instance);
+  if (!info) {
+    throw new Error('Enhancements can only be attached to instances of enhanced classes');
+  }
+
+  const definition = getDefinition(enhancement);
+  const { Enhancement, options, condition } = definition;
+  validateMethodSettings(Enhancement);
+  const requirements = getRequirements(Enhancement);
+  const missing = requirements.find(
+    (Required) => !findEnhancedInstance(instance, Required),
+  );
+  if (missing) {
+    throw new Error(
+      `'${Enhancement.name}' requires '${missing.name}', but the instance doesn't have it`,
+    );
+  }
+
+  const target = getTargetInstance(instance);
+  const conditionDependencies = condition ? getDependencies(condition) : [];
+  if (
+    condition &&
+    !condition(
+      { target, Enhancement, options },
+      ...dependencies.slice(0, conditionDependencies.length),
+    )
+  ) {
+    return false;
+  }
+
+  const state = info.getState();
+  info.setState({
+    target:
+      state.definition === detachedDefinition
+        ? state.target
+        : enhanceInstance(
+            instance.constructor,
+            state.target,
+            state.create,
+            state.definition,
+            state.instance,
+          ),
+    /**
+     * Creates the instance of the attached enhancement. It receives the class, as the
+     * enhancement may be replaced by a new version.
+     *
+     * @param {Class} Cls  The class of the enhancement.
+     * @returns {Object}
+     * @ignore
+     */
+    create: (Cls) =>
+      createEnhancementInstance(Cls, [
+        target,
+        ...requirements.map((Required) => getEnhancementInstance(instance, Required)),
+        ...dependencies.slice(conditionDependencies.length),
+        ...(options ? [options] : []),
+      ]),
+    definition,
+    instance: null,
+  });
+
+  return true;
+};
+/**
+ * Detaches an enhancement from an instance: its `dispose` method is called, if it has
+ * one, and it stops intercepting the members of the instance.
+ *
+ * @param {Object} instance     The enhanced instance (the ViewModel).
+ * @param {Class}  Enhancement  The class of the enhancement.
+ * @returns {boolean} Whether or not the instance had the enhancement.
+ * @example
+ *
+ *   detachEnhancement(viewModel, FormConfirmation);
+ *
+ */
+const detachEnhancement = (instance, Enhancement) => {
+  const info = findEnhancedInstance(instance, Enhancement);
+  if (info) {
+    info.dispose();
+    const inner = enhancedInstances.get(info.target);
+    info.setState(
+      inner
+        ? inner.getState()
+        : {
+            target: info.target,
+            /**
+             * Creates the instance of the detached enhancement, which has nothing.
+             *
+             * @returns {Object}
+             * @ignore
+             */
+            create: () => ({}),
+            definition: detachedDefinition,
+            instance: null,
+          },
+    );
+  }
+
+  return !!info;
+};
+/**
+ * Replaces an enhancement with a new version of it: the instances that have the old
+ * version will dispose it and create one of the new version, with the same parameters,
+ * the next time they're used; and the new instances of the classes it enhanced will use
+ * the new version.
+ * This is meant to be used for hot module reload, so the settings of the enhancement can
+ * change, but not its dependencies nor requirements.
+ *
+ * @param {Class} Enhancement     The class of the enhancement.
+ * @param {Class} NewEnhancement  The new version of the class.
+ * @throws {Error} If the new version is not a class, or its settings are invalid.
+ */
+const replaceEnhancement = (Enhancement, NewEnhancement) => {
+  if (typeof NewEnhancement !== 'function') {
+    throw new Error(`The new version of '${Enhancement.name}' should be a class`);
+  }
+
+  validateMethodSettings(NewEnhancement);
+  const Latest = getLatestEnhancement(Enhancement);
+  if (getLatestEnhancement(NewEnhancement) !== Latest) {
+    replacedEnhancements.set(Latest, NewEnhancement);
+    replacementsCount++;
+  }
+};
+/**
+ * Integrates a module with enhancements with a hot module reload API (like webpack's
+ * `module.hot` or Vite's `import.meta.hot`): the module accepts its own updates, and when
+ * it gets reloaded, the new versions of the enhancements replace the old ones on the
+ * instances that have them. The enhancements are identified by their names.
+ *
+ * @param {?Object}  hot           The hot module reload API of the module. If it's not
+ *                                 available, nothing will be done.
+ * @param {...Class} enhancements  The enhancements the module exports.
+ * @example
+ *
+ * export class FormConfirmation { ... }
+ *
+ *   acceptHotReload(module.hot, FormConfirmation);
+ *
+ */
+const acceptHotReload = (hot, ...enhancements) => {
+  if (hot) {
+    const previous = (hot.data && hot.data.enhancements) || {};
+    enhancements
+      .filter(({ name }) => previous[name])
+      .forEach((Enhancement) =>
+        replaceEnhancement(previous[Enhancement.name], Enhancement),
+      );
+    hot.dispose((data) => {
+      Object.assign(data, {
+        enhancements: enhancements.reduce(
+          (acc, Enhancement) => ({ ...acc, [Enhancement.name]: Enhancement }),
+          {},
+        ),
+      });
+    });
+    hot.accept();
+  }
+};
+/**
+ * Gets the {@link Disposer} of an instance of an enhancement, to track resources that
+ * will be released automatically when the lifecycle method defined on its static
+ * `disposeOn`
+ * property (`detached` by default) gets called, or when the enhancement gets disposed.
+ *
+ * @param {Object} enhancement  The instance of the enhancement.
+ * @returns {Disposer}
+ * @example
+ *
+ *   class PublishStatus {
+ *     constructor(viewModel, ea) {
+ *       this._disposer = getDisposer(this);
+ *       this._ea = ea;
+ *     }
+ *     attached() {
+ *       this._disposer.track(this._ea.subscribe('refresh', () => this._refresh()));
+ *     }
+ *   }
+ *
+ */
+const getDisposer = (enhancement) => {
+  let result = disposers.get(enhancement);
+  if (!result) {
+    result = createDisposer();
+    disposers.set(enhancement, result);
+  }
+
+  return result;
+};
+/**
+ * Disposes all the enhancements of an instance: it calls their `dispose` methods, if they
+ * have them, and releases the resources they tracked with their disposers. This is meant
+ * to be called when the instance won't be used anymore.
+ *
+ * @param {Object} instance  The enhanced instance (the ViewModel).
+ */
+const disposeEnhancements = (instance) => {
+  let current = instance;
+  while (enhancedInstances.has(current)) {
+    const info = enhancedInstances.get(current);
+    info.dispose();
+    current = info.target;
+  }
+};
+/**
+ * Gets the types of resource a class is for Aurelia, based on its metadata.
+ *
+ * @param {Class} Cls  The class to validate.
+ * @returns {ResourceType[]}
+ * @ignore
+ */
+const getResourceTypes = (Cls) => {
+  const result = [];
+  const resource =
+    typeof Reflect.getOwnMetadata === 'function'
+      ? Reflect.getOwnMetadata(RESOURCE_METADATA_KEY, Cls) ||
+        Reflect.getOwnMetadata(RESOURCE_METADATA_KEY, getOriginalClass(Cls))
+      : null;
+  if (resource && resource.elementName) {
+    result.push(resourceTypes.element);
+    if (routeMethods.some((name) => typeof Cls.prototype[name] === 'function')) {
+      result.push(resourceTypes.route);
+    }
+  }
+
+  if (resource && resource.attributeName) {
+    result.push(resourceTypes.attribute);
+  }
+
+  return result;
+};
+/**
+ * Normalizes and validates a global enhancement sent to the plugin.
+ *
+ * @param {Class | GlobalEnhancementRule} rule  The class of the enhancement, or a rule.
+ * @returns {GlobalEnhancementRule}
+ * @throws {Error} If the enhancement or the type of resource are invalid.
+ * @ignore
+ */
+const getGlobalRule = (rule) => {
+  const result = typeof rule === 'function' ? { use: rule } : rule;
+  const { Enhancement } = getDefinition(result);
+  const supported = Object.values(resourceTypes);
+  const types = [].concat(result.type || resourceTypes.element);
+  const invalid = types.find((type) => !supported.includes(type));
+  if (invalid) {
+    throw new Error(
+      `Invalid resource type '${invalid}' for '${Enhancement.name}', it should be one ` +
+        `of: ${supported.join(', ')}`,
+    );
+  }
+
+  return { ...result, type: types };
+};
+/**
+ * Checks whether a class matches a global enhancement rule.
+ *
+ * @param {Class}                 Cls   The class to validate.
+ * @param {GlobalEnhancementRule} rule  The rule to match.
+ * @returns {boolean}
+ * @ignore
+ */
+const matchesGlobalRule = (Cls, rule) => {
+  const { name } = getOriginalClass(Cls);
+  const { skipGlobalEnhancements: skip = false } = Cls;
+  return (
+    skip !== true &&
+    !(Array.isArray(skip) && skip.includes(rule.use)) &&
+    !getEnhancements(Cls).includes(rule.use) &&
+    getResourceTypes(Cls).some((type) => rule.type.includes(type)) &&
+    (!rule.name ||
+      (typeof rule.name === 'string' ? rule.name === name : rule.name.test(name))) &&
+    (!rule.test || !!rule.test(Cls))
+  );
+};
+/**
+ * The property where Aurelia's container saves the callback for when a handler is created.
+ * There's no getter for it, so the plugin reads it in order to call it before its own.
+ *
+ * @type {string}
+ * @ignore
+ */
+const HANDLER_CREATED_CALLBACK_KEY = '_onHandlerCreated';
+/**
+ * The entry point for the Aurelia plugin: it registers a callback on the container so
+ * every time Aurelia creates a resource for the first time, the global enhancements that
+ * match it are applied. If there was a callback already registered, it gets called first.
+ * A class can opt out by setting a static `skipGlobalEnhancements` property with `true`,
+ * or with a list of the enhancements it doesn't want.
+ *
+ * @param {Object}        frameworkConfig  Aurelia's framework configuration.
+ * @param {PluginOptions} [options={}]     The options for the plugin.
+ * @throws {Error} If one of the global enhancements is invalid.
+ * @example
+ *
+ *   aurelia.use.plugin('aurelia-class-enhancements', {
+ *     global: [LogStatus, { use: FormConfirmation, type: 'route' }],
+ *   });
+ *
  */
-const enhance = (...enhancements) => (Target) =>
-  enhancements.reduce((Current, Enhancement) => proxyClass(Current, Enhancement), Target);
+const configure = (frameworkConfig, options = {}) => {
+  const { container } = frameworkConfig;
+  const rules = (options.global || []).map(getGlobalRule);
+  const previousCallback = container[HANDLER_CREATED_CALLBACK_KEY];
+  container.setHandlerCreatedCallback((createdHandler) => {
+    const handler = previousCallback ? previousCallback(createdHandler) : createdHandler;
+    const matches = rules.filter((rule) => matchesGlobalRule(handler.fn, rule));
+    if (matches.length) {
+      const Enhanced = enhance(...matches)(handler.fn);
+      Object.assign(handler, { fn: Enhanced, dependencies: getDependencies(Enhanced) });
+    }
+
+    return handler;
+  });
+};
 
 module.exports = enhance;
+module.exports.strategies = strategies;
+module.exports.resultPolicies = resultPolicies;
+module.exports.errorPolicies = errorPolicies;
+module.exports.modes = modes;
+module.exports.resourceTypes = resourceTypes;
+module.exports.withOptions = withOptions;
+module.exports.replaceArgs = replaceArgs;
+module.exports.fromFactory = fromFactory;
+module.exports.when = when;
+module.exports.fromHooks = fromHooks;
+module.exports.setErrorHandler = setErrorHandler;
+module.exports.setTracer = setTracer;
+module.exports.createConsoleTracer = createConsoleTracer;
+module.exports.createPerformanceTracer = createPerformanceTracer;
+module.exports.setMode = setMode;
+module.exports.setLifecycleAliases = setLifecycleAliases;
+module.exports.isEnhanced = isEnhanced;
+module.exports.getEnhancements = getEnhancements;
+module.exports.getOriginalClass = getOriginalClass;
+module.exports.getDependencies = getDependencies;
+module.exports.getEnhancementInstance = getEnhancementInstance;
+module.exports.getContext = getContext;
+module.exports.attachEnhancement = attachEnhancement;
+module.exports.detachEnhancement = detachEnhancement;
+module.exports.replaceEnhancement = replaceEnhancement;
+module.exports.acceptHotReload = acceptHotReload;
+module.exports.getDisposer = getDisposer;
+module.exports.disposeEnhancements = disposeEnhancements;
+module.exports.configure = configure;
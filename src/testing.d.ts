@@ -0,0 +1,62 @@
+import enhance = require('./index');
+
+/**
+ * A class declaration, with the instance type and the parameters of its constructor.
+ */
+type Class<T = any, A extends any[] = any[]> = new (...args: A) => T;
+
+declare namespace testing {
+  interface CreateEnhancedOptions {
+    deps?: Map<any, any>;
+    enhancements?: enhance.Enhancement[];
+    args?: any[];
+  }
+
+  interface EnhancementSpyCall {
+    method: string;
+    args: any[];
+    result?: any;
+    error?: any;
+  }
+
+  interface EnhancementSpy<E = any> {
+    instance: E;
+    calls: EnhancementSpyCall[];
+    callsTo(method: Extract<keyof E, string>): any[][];
+    restore(): void;
+  }
+
+  interface LifecycleOptions {
+    mode?: enhance.EnhancementMode;
+    steps?: string[];
+    args?: Record<string, any[]>;
+  }
+
+  interface RouteOptions {
+    mode?: enhance.EnhancementMode;
+    args?: any[];
+  }
+
+  const lifecycles: Record<enhance.EnhancementMode, string[]>;
+  const routerHooks: Record<
+    enhance.EnhancementMode,
+    { enter: [string, string]; leave: [string, string] }
+  >;
+
+  function createEnhanced<C extends Class>(
+    Target: C,
+    options?: CreateEnhancedOptions,
+  ): InstanceType<C>;
+  function spyOnEnhancement<E extends enhance.EnhancementClass>(
+    instance: object,
+    Enhancement: E,
+  ): EnhancementSpy<InstanceType<E>>;
+  function runLifecycle(
+    instance: object,
+    options?: LifecycleOptions,
+  ): Promise<Record<string, any>>;
+  function enterRoute(instance: object, options?: RouteOptions): Promise<boolean>;
+  function leaveRoute(instance: object, options?: RouteOptions): Promise<boolean>;
+}
+
+export = testing;
@@ -0,0 +1,400 @@
+const enhance = require('./index');
+
+/**
+ * @external Class
+ * @see https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Classes
+ */
+
+/**
+ * @typedef {Object} CreateEnhancedOptions
+ * @property {Map}   [deps]          The values for the dependencies, by their tokens.
+ *                                   The classes that are not on the map are instantiated
+ *                                   with their own dependencies, once per call, like
+ *                                   Aurelia's container would do.
+ * @property {Array} [enhancements]  Enhancements to apply to the class before
+ *                                   instantiating it, in case it's not already enhanced.
+ * @property {Array} [args]          Extra arguments for the constructor, after the
+ *                                   dependencies.
+ */
+
+/**
+ * The information of a call to a method of an enhancement, recorded by
+ * {@link spyOnEnhancement}.
+ *
+ * @typedef {Object} EnhancementSpyCall
+ * @property {string} method    The name of the method.
+ * @property {Array}  args      The arguments the method received.
+ * @property {*}      [result]  What the method returned.
+ * @property {Error}  [error]   The error the method threw.
+ */
+
+/**
+ * @typedef {Object} EnhancementSpy
+ * @property {Object}               instance  The instance of the enhancement.
+ * @property {EnhancementSpyCall[]} calls     All the calls, in the order they were made.
+ * @property {Function}             callsTo   Gets the arguments of all the calls to a
+ *                                            method.
+ * @property {Function}             restore   Removes the spies from the instance.
+ */
+
+/**
+ * @typedef {Object} LifecycleOptions
+ * @property {EnhancementMode}        [mode]   The version of Aurelia which lifecycle
+ *                                             should be used. Defaults to `aurelia1`.
+ * @property {string[]}               [steps]  The lifecycle methods to call, in order.
+ *                                             Defaults to the ones of the `mode`.
+ * @property {Object.<string, Array>} [args]   The arguments for each of the methods.
+ */
+
+/**
+ * @typedef {Object} RouteOptions
+ * @property {EnhancementMode} [mode]  The version of Aurelia which router hooks should be
+ *                                     used. Defaults to `aurelia1`.
+ * @property {Array}           [args]  The arguments for the hooks, like the params and
+ *                                     the route config.
+ */
+
+/**
+ * The lifecycle methods the drivers call, for each version of Aurelia.
+ *
+ * @type {Object.<string, string[]>}
+ */
+const lifecycles = {
+  aurelia1: ['bind', 'attached', 'detached', 'unbind'],
+  aurelia2: ['binding', 'bound', 'attaching', 'attached', 'detaching', 'unbinding'],
+};
+/**
+ * The router hooks the drivers call when a route is entered and left, for each version of
+ * Aurelia: the first one decides if the navigation can happen, and the second one gets
+ * called if it can.
+ *
+ * @type {Object.<string, Object.<string, string[]>>}
+ */
+const routerHooks = {
+  aurelia1: {
+    enter: ['canActivate', 'activate'],
+    leave: ['canDeactivate', 'deactivate'],
+  },
+  aurelia2: {
+    enter: ['canLoad', 'loading'],
+    leave: ['canUnload', 'unloading'],
+  },
+};
+/**
+ * Gets the name of a dependency token, for the error messages.
+ *
+ * @param {*} token  The token to name.
+ * @returns {string}
+ * @ignore
+ */
+const getTokenName = (token) =>
+  typeof token === 'function' ? token.name : String(token);
+/**
+ * Creates a minimal version of Aurelia's container that resolves the dependencies from a
+ * map. The resolvers (like `Lazy.of`, `Factory.of`, or the ones the library uses for the
+ * conditional enhancements) receive it, so they can work as they would with Aurelia.
+ *
+ * @param {Map} deps  The values for the dependencies, by their tokens.
+ * @returns {Object}
+ * @ignore
+ */
+const createContainer = (deps) => {
+  const values = new Map(deps);
+  const container = {
+    /**
+     * Checks whether the container has a value for a dependency.
+     *
+     * @param {*} token  The token of the dependency.
+     * @returns {boolean}
+     * @ignore
+     */
+    hasResolver: (token) => values.has(token),
+    /**
+     * Gets the resolver for a dependency, if the container has a value for it, with the
+     * shape Aurelia uses for the instances: `0` as `strategy`, and the value as `state`.
+     * Resolvers like `Factory.of` use it to find out if a class was registered with a
+     * function to create it.
+     *
+     * @param {*} token  The token of the dependency.
+     * @returns {?Object}
+     * @ignore
+     */
+    getResolver: (token) =>
+      values.has(token) ? { strategy: 0, state: values.get(token) } : undefined,
+    /**
+     * Saves the value for a dependency, like the resolvers that create new instances do.
+     *
+     * @param {*} token  The token of the dependency.
+     * @param {*} value  The value for the dependency.
+     * @returns {*} The same value.
+     * @ignore
+     */
+    registerInstance: (token, value) => {
+      values.set(token, value);
+      return value;
+    },
+    /**
+     * Gets the value for a dependency: the one on the map, the one a resolver returns, or
+     * a new instance, if it's a class; the instances are saved, so they're only created
+     * once.
+     *
+     * @param {*} token  The token of the dependency.
+     * @returns {*}
+     * @throws {Error} If there's no value for the dependency and it's not a class.
+     * @ignore
+     */
+    get: (token) => {
+      let result;
+      if (values.has(token)) {
+        result = values.get(token);
+      } else if (token && typeof token === 'object' && token.$isResolver) {
+        result = token.resolve(container, container);
+      } else if (token && typeof token === 'object' && typeof token.get === 'function') {
+        result = token.get(container, token);
+      } else if (typeof token === 'function') {
+        result = container.invoke(token);
+        values.set(token, result);
+      } else {
+        throw new Error(`There's no value for the dependency '${getTokenName(token)}'`);
+      }
+
+      return result;
+    },
+    /**
+     * Gets all the values for a dependency. As the map has one value per token, the list
+     * only has one.
+     *
+     * @param {*} token  The token of the dependency.
+     * @returns {Array}
+     * @ignore
+     */
+    getAll: (token) => [container.get(token)],
+    /**
+     * Instantiates a class with its dependencies, read the same way the enhanced classes
+     * read them.
+     *
+     * @param {Class} Cls        The class to instantiate.
+     * @param {Array} [args=[]]  Extra arguments for the constructor, after the
+     *                           dependencies.
+     * @returns {Object}
+     * @ignore
+     */
+    invoke: (Cls, args = []) =>
+      new Cls(...enhance.getDependencies(Cls).map((dep) => container.get(dep)), ...args),
+  };
+
+  return container;
+};
+/**
+ * Gets the names of the methods of a prototype, and the ones it inherited, except for the
+ * constructors.
+ *
+ * @param {?Object} proto  The prototype to read.
+ * @returns {string[]}
+ * @ignore
+ */
+const getMethodNames = (proto) => {
+  if (!proto || proto === Object.prototype) {
+    return [];
+  }
+
+  const names = Object.getOwnPropertyNames(proto).filter(
+    (name) =>
+      name !== 'constructor' &&
+      typeof Object.getOwnPropertyDescriptor(proto, name).value === 'function',
+  );
+  return [...new Set([...names, ...getMethodNames(Object.getPrototypeOf(proto))])];
+};
+/**
+ * Creates an instance of an enhanced class, without Aurelia, resolving the dependencies
+ * of the class and all its enhancements from a map.
+ *
+ * @param {Class}                 Target     The enhanced class.
+ * @param {CreateEnhancedOptions} [options]  The options for the instance.
+ * @returns {Object} The enhanced instance.
+ * @throws {Error} If the class is not enhanced and no enhancements were sent.
+ * @throws {Error} If there's no value for one of the dependencies.
+ * @example
+ *
+ *   const viewModel = createEnhanced(MyViewModel, {
+ *     deps: new Map([[EventAggregator, { publish: jest.fn() }]]),
+ *   });
+ *
+ */
+const createEnhanced = (Target, options = {}) => {
+  const { deps = new Map(), enhancements = [], args = [] } = options;
+  const Cls = enhancements.length ? enhance(...enhancements)(Target) : Target;
+  if (!enhance.isEnhanced(Cls)) {
+    throw new Error(`'${Cls.name}' is not enhanced, you should send its enhancements`);
+  }
+
+  return createContainer(deps).invoke(Cls, args);
+};
+/**
+ * Replaces the methods of the instance of an enhancement of an instance with versions
+ * that record their calls, and their results or errors. Both the methods of its class and
+ * the functions saved on the instance (like the ones of the enhancements created with
+ * `fromFactory` or `fromHooks`) are replaced.
+ *
+ * @param {Object} instance     The enhanced instance (the ViewModel).
+ * @param {Class}  Enhancement  The class of the enhancement.
+ * @returns {EnhancementSpy}
+ * @throws {Error} If the instance doesn't have the enhancement.
+ */
+const spyOnEnhancement = (instance, Enhancement) => {
+  const enhancement = enhance.getEnhancementInstance(instance, Enhancement);
+  if (!enhancement) {
+    throw new Error(`The instance doesn't have the '${Enhancement.name}' enhancement`);
+  }
+
+  const calls = [];
+  const ownNames = Object.getOwnPropertyNames(enhancement).filter(
+    (name) => typeof enhancement[name] === 'function',
+  );
+  const names = [
+    ...new Set([...getMethodNames(Object.getPrototypeOf(enhancement)), ...ownNames]),
+  ];
+  const descriptors = names.map((name) =>
+    Object.getOwnPropertyDescriptor(enhancement, name),
+  );
+  names.forEach((name) => {
+    const method = enhancement[name];
+    Object.defineProperty(enhancement, name, {
+      configurable: true,
+      writable: true,
+      /**
+       * Records the call, and what the method returned or threw.
+       *
+       * @param {...*} methodArgs  The arguments for the method.
+       * @returns {*}
+       * @throws {Error} If the method throws an error.
+       * @ignore
+       */
+      value: (...methodArgs) => {
+        const call = { method: name, args: methodArgs };
+        calls.push(call);
+        try {
+          call.result = method.apply(enhancement, methodArgs);
+        } catch (error) {
+          call.error = error;
+          throw error;
+        }
+
+        return call.result;
+      },
+    });
+  });
+
+  return {
+    instance: enhancement,
+    calls,
+    /**
+     * Gets the arguments of all the calls to a method.
+     *
+     * @param {string} name  The name of the method.
+     * @returns {Array[]}
+     * @ignore
+     */
+    callsTo: (name) =>
+      calls.filter((call) => call.method === name).map((call) => call.args),
+    /**
+     * Removes the spies: the methods of the class are deleted from the instance, and the
+     * functions that were saved on it are put back.
+     *
+     * @ignore
+     */
+    restore: () => {
+      names.forEach((name, index) => {
+        if (descriptors[index]) {
+          Object.defineProperty(enhancement, name, descriptors[index]);
+        } else {
+          delete enhancement[name];
+        }
+      });
+    },
+  };
+};
+/**
+ * Calls a list of methods of an instance, in order, waiting for the ones that return a
+ * `Promise`. The methods the instance doesn't have are skipped.
+ *
+ * @param {Object}                 instance  The instance with the methods.
+ * @param {string[]}               names     The names of the methods.
+ * @param {Object.<string, Array>} args      The arguments for each method.
+ * @returns {Promise<Object.<string, any>>} What each method returned.
+ * @ignore
+ */
+const callInOrder = (instance, names, args) =>
+  names.reduce(
+    (promise, name) =>
+      promise.then((results) =>
+        typeof instance[name] === 'function'
+          ? Promise.resolve(instance[name](...(args[name] || []))).then((value) => ({
+              ...results,
+              [name]: value,
+            }))
+          : results,
+      ),
+    Promise.resolve({}),
+  );
+/**
+ * Calls the lifecycle methods of an enhanced instance, in the order Aurelia would,
+ * waiting for the ones that return a `Promise`.
+ *
+ * @param {Object}           instance   The enhanced instance (the ViewModel).
+ * @param {LifecycleOptions} [options]  The options for the lifecycle.
+ * @returns {Promise<Object.<string, any>>} What each method returned.
+ * @example
+ *
+ *   await runLifecycle(viewModel, { args: { bind: [{}, {}] } });
+ *
+ */
+const runLifecycle = (instance, options = {}) => {
+  const { mode = enhance.modes.aurelia1, steps = lifecycles[mode], args = {} } = options;
+  return callInOrder(instance, steps, args);
+};
+/**
+ * Calls a pair of router hooks: if the first one returns `false`, the second one is not
+ * called.
+ *
+ * @param {Object}       instance  The enhanced instance (the ViewModel).
+ * @param {string}       type      The type of navigation: `enter` or `leave`.
+ * @param {RouteOptions} options   The options for the hooks.
+ * @returns {Promise<boolean>} Whether the navigation happened.
+ * @ignore
+ */
+const navigate = (instance, type, options) => {
+  const { mode = enhance.modes.aurelia1, args = [] } = options;
+  const [canName, name] = routerHooks[mode][type];
+  return callInOrder(instance, [canName], { [canName]: args }).then((results) =>
+    results[canName] === false
+      ? false
+      : callInOrder(instance, [name], { [name]: args }).then(() => true),
+  );
+};
+/**
+ * Calls the router hooks of an enhanced instance as if the router was entering its route:
+ * `canActivate` and, if it doesn't return `false`, `activate`.
+ *
+ * @param {Object}       instance   The enhanced instance (the ViewModel).
+ * @param {RouteOptions} [options]  The options for the hooks.
+ * @returns {Promise<boolean>} Whether the route was entered.
+ */
+const enterRoute = (instance, options = {}) => navigate(instance, 'enter', options);
+/**
+ * Calls the router hooks of an enhanced instance as if the router was leaving its route:
+ * `canDeactivate` and, if it doesn't return `false`, `deactivate`.
+ *
+ * @param {Object}       instance   The enhanced instance (the ViewModel).
+ * @param {RouteOptions} [options]  The options for the hooks.
+ * @returns {Promise<boolean>} Whether the route was left.
+ */
+const leaveRoute = (instance, options = {}) => navigate(instance, 'leave', options);
+
+module.exports.lifecycles = lifecycles;
+module.exports.routerHooks = routerHooks;
+module.exports.createEnhanced = createEnhanced;
+module.exports.spyOnEnhancement = spyOnEnhancement;
+module.exports.runLifecycle = runLifecycle;
+module.exports.enterRoute = enterRoute;
+module.exports.leaveRoute = leaveRoute;
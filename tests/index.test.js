@@ -7,6 +7,21 @@ describe('aurelia-class-enhancements', () => {
       resolve(fn());
     }, 1);
   });
+  const metadataRestores = [];
+  const mockMetadata = (functions) => {
+    const names = Object.keys(functions);
+    const original = names.map((name) => Reflect[name]);
+    Object.assign(Reflect, functions);
+    metadataRestores.push(() => {
+      names.forEach((name, index) => {
+        Reflect[name] = original[index];
+      });
+    });
+  };
+
+  afterEach(() => {
+    metadataRestores.splice(0).reverse().forEach((restore) => restore());
+  });
 
   it('should enhance a view model and call the methods from the enhancements', () => {
     // Given
@@ -490,4 +505,3049 @@ describe('aurelia-class-enhancements', () => {
       enhancedProperty,
     ]);
   });
+
+  it('should call an enhancement method after the target method', () => {
+    // Given
+    const callQueue = [];
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    const baseAttachedLifeCycle = jest.fn();
+    class Base {
+      attached(...args) {
+        callQueue.push(baseId);
+        return baseAttached(...args);
+      }
+
+      enhancedAttachedReturn(...args) {
+        baseAttachedLifeCycle(...args);
+      }
+    }
+    const enhId = 'enh-one-vm';
+    const enhAttached = jest.fn(() => enhId);
+    class Enhancement {
+      attached(...args) {
+        callQueue.push(enhId);
+        return enhAttached(...args);
+      }
+    }
+    Enhancement.strategy = enhance.strategies.after;
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.attached(arg);
+    // Then
+    expect(result).toBe(baseId);
+    expect(callQueue).toEqual([baseId, enhId]);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledWith(arg);
+    expect(enhAttached).toHaveBeenCalledTimes(1);
+    expect(enhAttached).toHaveBeenCalledWith(baseId, arg);
+    expect(baseAttachedLifeCycle).toHaveBeenCalledTimes(1);
+    expect(baseAttachedLifeCycle).toHaveBeenCalledWith(enhId, expect.any(Enhancement));
+  });
+
+  it('should call an enhancement method after the target method (async)', async () => {
+    // Given
+    const callQueue = [];
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    class Base {
+      attached(...args) {
+        return delayExec(() => {
+          callQueue.push(baseId);
+          return baseAttached(...args);
+        });
+      }
+    }
+    const enhId = 'enh-one-vm';
+    const enhAttached = jest.fn(() => enhId);
+    class Enhancement {
+      attached(...args) {
+        return delayExec(() => {
+          callQueue.push(enhId);
+          return enhAttached(...args);
+        });
+      }
+    }
+    Enhancement.strategy = 'after';
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = await sut.attached(arg);
+    // Then
+    expect(result).toBe(baseId);
+    expect(callQueue).toEqual([baseId, enhId]);
+    expect(enhAttached).toHaveBeenCalledTimes(1);
+    expect(enhAttached).toHaveBeenCalledWith(baseId, arg);
+  });
+
+  it('should call an enhancement method around the target method', () => {
+    // Given
+    const callQueue = [];
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    class Base {
+      attached(...args) {
+        callQueue.push(baseId);
+        return baseAttached(...args);
+      }
+    }
+    const enhStartId = 'enh-start';
+    const enhEndId = 'enh-end';
+    class Enhancement {
+      attached(next) {
+        callQueue.push(enhStartId);
+        const value = next();
+        callQueue.push(enhEndId);
+        return `${value}!`;
+      }
+    }
+    Enhancement.strategy = 'around';
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.attached(arg);
+    // Then
+    expect(result).toBe(`${baseId}!`);
+    expect(callQueue).toEqual([enhStartId, baseId, enhEndId]);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledWith(arg);
+  });
+
+  it('should allow an "around" enhancement method to skip the target method', async () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    class Base {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+    }
+    const enhCanDeactivate = jest.fn(() => false);
+    class Enhancement {
+      canDeactivate(next, ...args) {
+        return delayExec(() => enhCanDeactivate(...args)).then((value) =>
+          value ? next() : value,
+        );
+      }
+    }
+    Enhancement.strategy = { canDeactivate: 'around' };
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = await sut.canDeactivate(arg);
+    // Then
+    expect(result).toBe(false);
+    expect(enhCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(enhCanDeactivate).toHaveBeenCalledWith(arg);
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(0);
+  });
+
+  it('should allow an enhancement method to replace the target method', () => {
+    // Given
+    const baseAttached = jest.fn();
+    const baseDetached = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      detached(...args) {
+        return baseDetached(...args);
+      }
+    }
+    const enhId = 'enh-one-vm';
+    const enhAttached = jest.fn(() => enhId);
+    const enhDetached = jest.fn();
+    class Enhancement {
+      attached(...args) {
+        return enhAttached(...args);
+      }
+
+      detached(...args) {
+        return enhDetached(...args);
+      }
+    }
+    Enhancement.strategy = { attached: 'replace' };
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.attached(arg);
+    sut.detached(arg);
+    // Then
+    expect(result).toBe(enhId);
+    expect(enhAttached).toHaveBeenCalledTimes(1);
+    expect(enhAttached).toHaveBeenCalledWith(arg);
+    expect(baseAttached).toHaveBeenCalledTimes(0);
+    expect(enhDetached).toHaveBeenCalledTimes(1);
+    expect(enhDetached).toHaveBeenCalledWith(arg);
+    expect(baseDetached).toHaveBeenCalledTimes(1);
+    expect(baseDetached).toHaveBeenCalledWith(arg);
+  });
+
+  it('should throw an error if an enhancement uses an invalid strategy', () => {
+    // Given
+    class Base {}
+    class Enhancement {}
+    Enhancement.strategy = { attached: 'first' };
+    // When/Then
+    expect(() => enhance(Enhancement)(Base)).toThrow(
+      /Invalid strategy 'first' on 'Enhancement'/i,
+    );
+  });
+
+  it('should stop the chain when a router hook enhancement returns false', () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    const baseCanDeactivateLifeCycle = jest.fn();
+    class Base {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+
+      enhancedCanDeactivateReturn(...args) {
+        baseCanDeactivateLifeCycle(...args);
+      }
+    }
+    const enhCanDeactivate = jest.fn(() => false);
+    class Enhancement {
+      canDeactivate(...args) {
+        return enhCanDeactivate(...args);
+      }
+    }
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.canDeactivate(arg);
+    // Then
+    expect(result).toBe(false);
+    expect(enhCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(enhCanDeactivate).toHaveBeenCalledWith(arg);
+    expect(baseCanDeactivateLifeCycle).toHaveBeenCalledTimes(1);
+    expect(baseCanDeactivateLifeCycle).toHaveBeenCalledWith(
+      false,
+      expect.any(Enhancement),
+    );
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(0);
+  });
+
+  it('should stop the chain of stacked enhancements on a router hook (async)', async () => {
+    // Given
+    const baseCanActivate = jest.fn(() => true);
+    class Base {
+      canActivate(...args) {
+        return baseCanActivate(...args);
+      }
+    }
+    const enhOneCanActivate = jest.fn(() => false);
+    class EnhancementOne {
+      canActivate(...args) {
+        return delayExec(() => enhOneCanActivate(...args));
+      }
+    }
+    const enhTwoCanActivate = jest.fn(() => true);
+    class EnhancementTwo {
+      canActivate(...args) {
+        return delayExec(() => enhTwoCanActivate(...args));
+      }
+    }
+    const enhThreeCanActivate = jest.fn(() => false);
+    class EnhancementThree {
+      canActivate(...args) {
+        return enhThreeCanActivate(...args);
+      }
+    }
+    const arg = 'hello world!';
+    let sutOne = null;
+    let sutTwo = null;
+    let resultOne = null;
+    let resultTwo = null;
+    // When
+    sutOne = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    resultOne = await sutOne.canActivate(arg);
+    sutTwo = new (enhance(EnhancementOne, EnhancementTwo, EnhancementThree)(Base))();
+    resultTwo = await sutTwo.canActivate(arg);
+    // Then
+    expect(resultOne).toBe(false);
+    expect(resultTwo).toBe(false);
+    expect(enhThreeCanActivate).toHaveBeenCalledTimes(1);
+    expect(enhTwoCanActivate).toHaveBeenCalledTimes(1);
+    expect(enhOneCanActivate).toHaveBeenCalledTimes(1);
+    expect(baseCanActivate).toHaveBeenCalledTimes(0);
+  });
+
+  it('should return the target value on a router hook if the enhancement allows it', () => {
+    // Given
+    const redirect = { url: 'somewhere' };
+    const baseCanActivate = jest.fn(() => redirect);
+    class Base {
+      canActivate(...args) {
+        return baseCanActivate(...args);
+      }
+    }
+    const enhCanActivate = jest.fn(() => true);
+    class Enhancement {
+      canActivate(...args) {
+        return enhCanActivate(...args);
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.canActivate();
+    // Then
+    expect(result).toBe(redirect);
+    expect(enhCanActivate).toHaveBeenCalledTimes(1);
+    expect(baseCanActivate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should allow an enhancement to change the result policy of a method', () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    const baseSave = jest.fn(() => false);
+    class Base {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+
+      save(...args) {
+        return baseSave(...args);
+      }
+    }
+    const enhCanDeactivate = jest.fn(() => false);
+    const enhSave = jest.fn();
+    class Enhancement {
+      canDeactivate(...args) {
+        return enhCanDeactivate(...args);
+      }
+
+      save(...args) {
+        return enhSave(...args);
+      }
+    }
+    Enhancement.strategy = { save: 'after' };
+    Enhancement.resultPolicy = {
+      canDeactivate: enhance.resultPolicies.target,
+      save: enhance.resultPolicies.and,
+    };
+    let sut = null;
+    let canDeactivateResult = null;
+    let saveResult = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    canDeactivateResult = sut.canDeactivate();
+    saveResult = sut.save();
+    // Then
+    expect(canDeactivateResult).toBe(true);
+    expect(enhCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(saveResult).toBe(false);
+    expect(baseSave).toHaveBeenCalledTimes(1);
+    expect(enhSave).toHaveBeenCalledTimes(0);
+  });
+
+  it('should throw an error if an enhancement uses an invalid result policy', () => {
+    // Given
+    class Base {}
+    class Enhancement {}
+    Enhancement.resultPolicy = 'or';
+    // When/Then
+    expect(() => enhance(Enhancement)(Base)).toThrow(
+      /Invalid result policy 'or' on 'Enhancement'/i,
+    );
+  });
+
+  it('should merge the dependencies when the classes use "inject" functions', () => {
+    // Given
+    const services = {
+      depOne: 'dep-one',
+      depTwo: 'dep-two',
+      depThree: 'dep-three',
+    };
+    const baseConstructor = jest.fn();
+    class Base {
+      static inject() {
+        return [services.depOne, services.depTwo];
+      }
+
+      constructor(...args) {
+        baseConstructor(...args);
+      }
+    }
+    const enhanceConstructor = jest.fn();
+    class Enhancement {
+      static inject() {
+        return [services.depTwo, services.depThree];
+      }
+
+      constructor(...args) {
+        enhanceConstructor(...args);
+      }
+    }
+    let Sut = null;
+    let dependencies = null;
+    let sut = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    dependencies = Sut.inject;
+    sut = new Sut(...dependencies);
+    // Then
+    expect(sut).toBeInstanceOf(Base);
+    expect(dependencies).toEqual([services.depOne, services.depTwo, services.depThree]);
+    expect(baseConstructor).toHaveBeenCalledTimes(1);
+    expect(baseConstructor).toHaveBeenCalledWith(services.depOne, services.depTwo);
+    expect(enhanceConstructor).toHaveBeenCalledTimes(1);
+    expect(enhanceConstructor).toHaveBeenCalledWith(
+      expect.any(Base),
+      services.depTwo,
+      services.depThree,
+    );
+  });
+
+  it('should merge the dependencies from the "design:paramtypes" metadata', () => {
+    // Given
+    class ServiceOne {}
+    class ServiceTwo {}
+    const baseConstructor = jest.fn();
+    class Base {
+      constructor(...args) {
+        baseConstructor(...args);
+      }
+    }
+    const enhanceConstructor = jest.fn();
+    class Enhancement {
+      constructor(...args) {
+        enhanceConstructor(...args);
+      }
+    }
+    const metadata = new Map([
+      [Base, [ServiceOne]],
+      [Enhancement, [ServiceOne, ServiceTwo]],
+    ]);
+    mockMetadata({ getOwnMetadata: jest.fn((key, target) => metadata.get(target)) });
+    const serviceOne = new ServiceOne();
+    const serviceTwo = new ServiceTwo();
+    let Sut = null;
+    let dependencies = null;
+    let sut = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    dependencies = Sut.inject;
+    sut = new Sut(serviceOne, serviceTwo);
+    // Then
+    expect(sut).toBeInstanceOf(Base);
+    expect(dependencies).toEqual([ServiceOne, ServiceTwo]);
+    expect(baseConstructor).toHaveBeenCalledTimes(1);
+    expect(baseConstructor).toHaveBeenCalledWith(serviceOne);
+    expect(enhanceConstructor).toHaveBeenCalledTimes(1);
+    expect(enhanceConstructor).toHaveBeenCalledWith(
+      expect.any(Base),
+      serviceOne,
+      serviceTwo,
+    );
+  });
+
+  it('should never share resolvers between the classes', () => {
+    // Given
+    class Service {}
+    const createResolver = () => ({ get: () => new Service() });
+    const sharedResolver = createResolver();
+    const baseResolver = createResolver();
+    const enhancementResolver = createResolver();
+    const baseConstructor = jest.fn();
+    class Base {
+      constructor(...args) {
+        baseConstructor(...args);
+      }
+    }
+    Base.inject = [Service, baseResolver, sharedResolver];
+    const enhanceConstructor = jest.fn();
+    class Enhancement {
+      constructor(...args) {
+        enhanceConstructor(...args);
+      }
+    }
+    Enhancement.inject = [sharedResolver, enhancementResolver, Service];
+    const values = [
+      'service',
+      'base-resolved',
+      'shared-resolved-1',
+      'shared-resolved-2',
+      'enhancement-resolved',
+    ];
+    let Sut = null;
+    let dependencies = null;
+    let sut = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    dependencies = Sut.inject;
+    sut = new Sut(...values);
+    // Then
+    expect(sut).toBeInstanceOf(Base);
+    expect(dependencies).toEqual([
+      Service,
+      baseResolver,
+      sharedResolver,
+      sharedResolver,
+      enhancementResolver,
+    ]);
+    expect(baseConstructor).toHaveBeenCalledTimes(1);
+    expect(baseConstructor).toHaveBeenCalledWith(
+      'service',
+      'base-resolved',
+      'shared-resolved-1',
+    );
+    expect(enhanceConstructor).toHaveBeenCalledTimes(1);
+    expect(enhanceConstructor).toHaveBeenCalledWith(
+      expect.any(Base),
+      'shared-resolved-2',
+      'enhancement-resolved',
+      'service',
+    );
+  });
+
+  it('should allow an enhancement to define computed properties', () => {
+    // Given
+    class Base {
+      constructor() {
+        this.firstName = 'Rosario';
+        this.lastName = 'Charro';
+      }
+    }
+    const dependencies = ['firstName', 'lastName'];
+    class Enhancement {
+      constructor(viewModel) {
+        this._viewModel = viewModel;
+      }
+
+      get fullName() {
+        return `${this._viewModel.firstName} ${this._viewModel.lastName}`;
+      }
+    }
+    Object.getOwnPropertyDescriptor(Enhancement.prototype, 'fullName').get.dependencies =
+      dependencies;
+    let sut = null;
+    let result = null;
+    let description = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.fullName;
+    description = Object.getOwnPropertyDescriptor(sut, 'fullName');
+    sut.fullName = 'Pilar';
+    // Then
+    expect(result).toBe('Rosario Charro');
+    expect('fullName' in sut).toBe(true);
+    expect(description).toEqual({
+      configurable: true,
+      enumerable: false,
+      get: expect.any(Function),
+      set: expect.any(Function),
+    });
+    expect(description.get()).toBe(result);
+    expect(description.get.dependencies).toBe(dependencies);
+    expect(sut.fullName).toBe(result);
+    description.set('Pilar');
+    expect(sut.fullName).toBe(result);
+  });
+
+  it('should allow an enhancement to intercept the writes of a property', () => {
+    // Given
+    class Base {
+      constructor() {
+        this.model = null;
+      }
+    }
+    class Enhancement {
+      constructor(viewModel) {
+        this._viewModel = viewModel;
+        this.isDirty = false;
+      }
+
+      set model(value) {
+        this.isDirty = true;
+        this._viewModel.model = value;
+      }
+    }
+    const model = { name: 'Rosario' };
+    let sut = null;
+    let initialIsDirty = null;
+    let description = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    initialIsDirty = sut.isDirty;
+    sut.model = model;
+    description = Object.getOwnPropertyDescriptor(sut, 'model');
+    // Then
+    expect(initialIsDirty).toBe(false);
+    expect(sut.isDirty).toBe(true);
+    expect(sut.model).toBe(model);
+    expect(description).toEqual({
+      configurable: true,
+      enumerable: true,
+      writable: true,
+      value: model,
+    });
+  });
+
+  it('should allow an enhancement to intercept the writes of a nested property', () => {
+    // Given
+    class Base {
+      constructor() {
+        this.model = { name: 'Rosario' };
+      }
+    }
+    class Enhancement {
+      constructor(viewModel) {
+        this._viewModel = viewModel;
+        this.model = viewModel.model;
+        this.isDirty = false;
+      }
+
+      set model(value) {
+        this.isDirty = true;
+        this._viewModel.model = new Proxy(value, {
+          set: (model, name, newValue) => {
+            this.isDirty = true;
+            return Reflect.set(model, name, newValue);
+          },
+        });
+      }
+    }
+    let sut = null;
+    let initialIsDirty = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    initialIsDirty = sut.isDirty;
+    sut.model.name = 'Pilar';
+    // Then
+    expect(initialIsDirty).toBe(false);
+    expect(sut.isDirty).toBe(true);
+    expect(sut.model).toEqual({ name: 'Pilar' });
+  });
+
+  it('should write, define and delete the properties only an enhancement has on it', () => {
+    // Given
+    class Base {
+      constructor() {
+        this.baseProp = 'base';
+      }
+    }
+    class Enhancement {
+      constructor() {
+        this.enhancedProp = 'enhanced';
+      }
+    }
+    let sut = null;
+    let initialValue = null;
+    let observedValue = null;
+    const observer = { value: 'observed' };
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    initialValue = sut.enhancedProp;
+    sut.enhancedProp = 'changed';
+    sut.baseProp = 'base-changed';
+    Object.defineProperty(sut, 'enhancedProp', {
+      configurable: true,
+      enumerable: true,
+      get: () => observer.value,
+      set: (value) => {
+        observer.value = value;
+      },
+    });
+    observedValue = sut.enhancedProp;
+    sut.enhancedProp = 'changed-again';
+    // Then
+    expect(initialValue).toBe('enhanced');
+    expect(observedValue).toBe('observed');
+    expect(observer.value).toBe('changed-again');
+    expect(sut.baseProp).toBe('base-changed');
+    expect(Object.getOwnPropertyDescriptor(sut, 'baseProp').value).toBe('base-changed');
+    expect(delete sut.enhancedProp).toBe(true);
+    expect('enhancedProp' in sut).toBe(false);
+    expect(delete sut.baseProp).toBe(true);
+    expect('baseProp' in sut).toBe(false);
+  });
+
+  it('should be able to detect, list and unwrap the enhancements of a class', () => {
+    // Given
+    class Base {}
+    class EnhancementOne {}
+    class EnhancementTwo {}
+    class EnhancementThree {}
+    let Sut = null;
+    // When
+    Sut = enhance(EnhancementThree)(enhance(EnhancementOne, EnhancementTwo)(Base));
+    // Then
+    expect(enhance.isEnhanced(Sut)).toBe(true);
+    expect(enhance.isEnhanced(Base)).toBe(false);
+    expect(enhance.getEnhancements(Sut)).toEqual([
+      EnhancementOne,
+      EnhancementTwo,
+      EnhancementThree,
+    ]);
+    expect(enhance.getEnhancements(Base)).toEqual([]);
+    expect(enhance.getOriginalClass(Sut)).toBe(Base);
+    expect(enhance.getOriginalClass(Base)).toBe(Base);
+  });
+
+  it('should be able to get the instance of an enhancement from an enhanced instance', () => {
+    // Given
+    class Base {}
+    class EnhancementOne {}
+    class EnhancementTwo {}
+    class EnhancementThree {}
+    let sut = null;
+    let resultOne = null;
+    let resultTwo = null;
+    let resultThree = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    resultOne = enhance.getEnhancementInstance(sut, EnhancementOne);
+    resultTwo = enhance.getEnhancementInstance(sut, EnhancementTwo);
+    resultThree = enhance.getEnhancementInstance(sut, EnhancementThree);
+    // Then
+    expect(resultOne).toBeInstanceOf(EnhancementOne);
+    expect(resultTwo).toBeInstanceOf(EnhancementTwo);
+    expect(resultThree).toBeNull();
+    expect(enhance.getEnhancementInstance(new Base(), EnhancementOne)).toBeNull();
+  });
+
+  it('should send the "enhanced returns" of each enhancement to its own lifecycle method', async () => {
+    // Given
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    const baseLifeCycleOne = jest.fn();
+    const baseLifeCycleTwo = jest.fn();
+    const baseLifeCycleAll = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      enhancedAttachedReturnFromEnhancementOne(...args) {
+        baseLifeCycleOne(...args);
+      }
+
+      enhancedAttachedReturnFromEnhancementTwo(...args) {
+        baseLifeCycleTwo(...args);
+      }
+
+      enhancedAttachedReturns(...args) {
+        baseLifeCycleAll(...args);
+      }
+    }
+    const enhOneId = 'enh-one-vm';
+    class EnhancementOne {
+      attached() {
+        return delayExec(() => enhOneId);
+      }
+    }
+    const enhTwoId = 'enh-two-vm';
+    class EnhancementTwo {
+      attached() {
+        return enhTwoId;
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    result = await sut.attached();
+    // Then
+    expect(result).toBe(baseId);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycleOne).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycleOne).toHaveBeenCalledWith(enhOneId, expect.any(EnhancementOne));
+    expect(baseLifeCycleTwo).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycleTwo).toHaveBeenCalledWith(enhTwoId, expect.any(EnhancementTwo));
+    expect(baseLifeCycleAll).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycleAll).toHaveBeenCalledWith([
+      {
+        value: enhTwoId,
+        enhancement: expect.any(EnhancementTwo),
+        Enhancement: EnhancementTwo,
+      },
+      {
+        value: enhOneId,
+        enhancement: expect.any(EnhancementOne),
+        Enhancement: EnhancementOne,
+      },
+    ]);
+  });
+
+  it('should use the return key of an enhancement for its own lifecycle method', () => {
+    // Given
+    const baseLifeCycle = jest.fn();
+    const baseLifeCycleByName = jest.fn();
+    class Base {
+      attached() {}
+
+      enhancedAttachedReturnFromConfirm(...args) {
+        baseLifeCycle(...args);
+      }
+
+      enhancedAttachedReturnFromE(...args) {
+        baseLifeCycleByName(...args);
+      }
+    }
+    // The name a minifier would give it.
+    class E {
+      static get returnKey() {
+        return 'confirm';
+      }
+
+      attached() {
+        return 'confirmed';
+      }
+    }
+    class Invalid {
+      static get returnKey() {
+        return true;
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(E)(Base))();
+    sut.attached();
+    // Then
+    expect(baseLifeCycle).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycle).toHaveBeenCalledWith('confirmed', expect.any(E));
+    expect(baseLifeCycleByName).toHaveBeenCalledTimes(0);
+    expect(() => enhance(Invalid)(Base)).toThrow(
+      /the return key of 'Invalid' should be a string/i,
+    );
+  });
+
+  it('should send all the "enhanced returns" even if the chain was stopped', () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    const baseLifeCycleAll = jest.fn();
+    class Base {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+
+      enhancedCanDeactivateReturns(...args) {
+        baseLifeCycleAll(...args);
+      }
+    }
+    class EnhancementOne {
+      canDeactivate() {
+        return true;
+      }
+    }
+    class EnhancementTwo {
+      canDeactivate() {
+        return false;
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(EnhancementTwo, EnhancementOne)(Base))();
+    result = sut.canDeactivate();
+    // Then
+    expect(result).toBe(false);
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(0);
+    expect(baseLifeCycleAll).toHaveBeenCalledTimes(1);
+    expect(baseLifeCycleAll).toHaveBeenCalledWith([
+      {
+        value: true,
+        enhancement: expect.any(EnhancementOne),
+        Enhancement: EnhancementOne,
+      },
+      {
+        value: false,
+        enhancement: expect.any(EnhancementTwo),
+        Enhancement: EnhancementTwo,
+      },
+    ]);
+  });
+
+  it('should propagate the errors of an enhancement method by default', () => {
+    // Given
+    const baseAttached = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+    }
+    const error = new Error('Something went wrong');
+    class Enhancement {
+      attached() {
+        throw error;
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    // Then
+    expect(() => sut.attached()).toThrow(error);
+    expect(baseAttached).toHaveBeenCalledTimes(0);
+  });
+
+  it('should swallow the errors of an enhancement method and continue', async () => {
+    // Given
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    const baseDetached = jest.fn(() => baseId);
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      detached(...args) {
+        return baseDetached(...args);
+      }
+    }
+    class Enhancement {
+      attached() {
+        throw new Error('Something went wrong');
+      }
+
+      detached() {
+        return delayExec(() => Promise.reject(new Error('Something went wrong')));
+      }
+    }
+    Enhancement.errorPolicy = enhance.errorPolicies.swallowAndContinue;
+    const arg = 'hello world!';
+    let sut = null;
+    let attachedResult = null;
+    let detachedResult = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    attachedResult = sut.attached(arg);
+    detachedResult = await sut.detached(arg);
+    // Then
+    expect(attachedResult).toBe(baseId);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledWith(arg);
+    expect(detachedResult).toBe(baseId);
+    expect(baseDetached).toHaveBeenCalledTimes(1);
+    expect(baseDetached).toHaveBeenCalledWith(arg);
+  });
+
+  it('should delegate the errors of an enhancement method to the target', async () => {
+    // Given
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    const baseOnError = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      onEnhancementError(...args) {
+        baseOnError(...args);
+      }
+    }
+    const error = new Error('Something went wrong');
+    class Enhancement {
+      attached() {
+        return Promise.reject(error);
+      }
+    }
+    Enhancement.errorPolicy = { attached: 'delegate' };
+    const arg = 'hello world!';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = await sut.attached(arg);
+    // Then
+    expect(result).toBe(baseId);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseOnError).toHaveBeenCalledTimes(1);
+    expect(baseOnError).toHaveBeenCalledWith(error, {
+      method: 'attached',
+      enhancement: expect.any(Enhancement),
+      Enhancement,
+      args: [arg],
+    });
+  });
+
+  it('should delegate the errors of an enhancement method to the global handler', () => {
+    // Given
+    const baseAttached = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+    }
+    const error = new Error('Something went wrong');
+    class Enhancement {
+      attached() {
+        throw error;
+      }
+    }
+    Enhancement.errorPolicy = 'delegate';
+    const handler = jest.fn();
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    enhance.setErrorHandler(handler);
+    sut.attached();
+    enhance.setErrorHandler(null);
+    // Then
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith(error, {
+      method: 'attached',
+      enhancement: expect.any(Enhancement),
+      Enhancement,
+      args: [],
+    });
+    expect(() => sut.attached()).toThrow(error);
+  });
+
+  it('should call the target method if an "around" enhancement method fails', async () => {
+    // Given
+    const baseId = 'base-vm';
+    const baseAttached = jest.fn(() => baseId);
+    const targetError = new Error('Target error');
+    const baseDetached = jest.fn(() => Promise.reject(targetError));
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      detached(...args) {
+        return baseDetached(...args);
+      }
+    }
+    class Enhancement {
+      attached() {
+        throw new Error('Something went wrong');
+      }
+
+      detached(next) {
+        return next();
+      }
+    }
+    Enhancement.strategy = 'around';
+    Enhancement.errorPolicy = 'swallow-and-continue';
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.attached();
+    // Then
+    expect(result).toBe(baseId);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    await expect(sut.detached()).rejects.toThrow(targetError);
+  });
+
+  it('should throw an error if an enhancement uses an invalid error policy', () => {
+    // Given
+    class Base {}
+    class Enhancement {}
+    Enhancement.errorPolicy = 'ignore';
+    // When/Then
+    expect(() => enhance(Enhancement)(Base)).toThrow(
+      /Invalid error policy 'ignore' on 'Enhancement'/i,
+    );
+  });
+
+  it('should only intercept the methods on the "only" list', () => {
+    // Given
+    const baseAttached = jest.fn();
+    const baseDetached = jest.fn();
+    const enhancementAttached = jest.fn();
+    const enhancementDetached = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+
+      detached(...args) {
+        return baseDetached(...args);
+      }
+    }
+    class Enhancement {
+      attached(...args) {
+        return enhancementAttached(...args);
+      }
+
+      detached(...args) {
+        return enhancementDetached(...args);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance({ use: Enhancement, only: ['attached'] })(Base))();
+    sut.attached();
+    sut.detached();
+    // Then
+    expect(enhancementAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(enhancementDetached).toHaveBeenCalledTimes(0);
+    expect(baseDetached).toHaveBeenCalledTimes(1);
+  });
+
+  it('shouldn\'t intercept the methods on the "except" list', () => {
+    // Given
+    const baseDetached = jest.fn();
+    const enhancementAttached = jest.fn();
+    const enhancementDetached = jest.fn();
+    class Base {
+      detached(...args) {
+        return baseDetached(...args);
+      }
+    }
+    class Enhancement {
+      attached(...args) {
+        return enhancementAttached(...args);
+      }
+
+      detached(...args) {
+        return enhancementDetached(...args);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance({ use: Enhancement, except: ['detached'] })(Base))();
+    sut.attached();
+    sut.detached();
+    // Then
+    expect(enhancementAttached).toHaveBeenCalledTimes(1);
+    expect(enhancementDetached).toHaveBeenCalledTimes(0);
+    expect(baseDetached).toHaveBeenCalledTimes(1);
+  });
+
+  it('should hide the helpers and state of an enhancement that is not exposed', () => {
+    // Given
+    const enhancementAttached = jest.fn();
+    class Base {
+      constructor() {
+        this.name = 'base';
+      }
+    }
+    class Enhancement {
+      constructor() {
+        this.counter = 0;
+      }
+
+      attached(...args) {
+        this.counter++;
+        return enhancementAttached(...args);
+      }
+
+      helper() {
+        return this.counter;
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance({ use: Enhancement, only: ['attached'], expose: false })(Base))();
+    sut.attached();
+    // Then
+    expect(enhancementAttached).toHaveBeenCalledTimes(1);
+    expect(sut.helper).toBeUndefined();
+    expect(sut.counter).toBeUndefined();
+    expect('counter' in sut).toBe(false);
+    expect('attached' in sut).toBe(true);
+    expect(Object.keys(sut)).toEqual(['name']);
+    expect(enhance.getEnhancementInstance(sut, Enhancement).helper()).toBe(1);
+  });
+
+  it('should throw an error if the options of an enhancement are invalid', () => {
+    // Given
+    class Enhancement {}
+    // When/Then
+    expect(() => enhance({ only: ['attached'] })).toThrow(
+      /should have a class on 'use'/i,
+    );
+    expect(() => enhance({ use: Enhancement, only: 'attached' })).toThrow(
+      /should be lists of names/i,
+    );
+    expect(() => enhance('Enhancement')).toThrow(/should be a class or an object/i);
+  });
+
+  it('should send the instances of the required enhancements', () => {
+    // Given
+    class Dep {}
+    class Base {}
+    class Storage {
+      constructor() {
+        this.items = [];
+      }
+    }
+    class Logger {
+      constructor(viewModel, storage, dep) {
+        this.storage = storage;
+        this.dep = dep;
+      }
+
+      attached() {
+        this.storage.items.push('attached');
+      }
+    }
+    Logger.requires = [Storage];
+    Logger.inject = [Dep];
+    let sut = null;
+    let storage = null;
+    let logger = null;
+    // When
+    sut = new (enhance(Storage, Logger)(Base))(new Dep());
+    sut.attached();
+    storage = enhance.getEnhancementInstance(sut, Storage);
+    logger = enhance.getEnhancementInstance(sut, Logger);
+    // Then
+    expect(logger.storage).toBe(storage);
+    expect(logger.dep).toBeInstanceOf(Dep);
+    expect(storage.items).toEqual(['attached']);
+  });
+
+  it('should share a context between the enhancements of an instance', () => {
+    // Given
+    class Base {}
+    class EnhancementOne {
+      constructor(viewModel) {
+        this.context = enhance.getContext(viewModel);
+        this.context.one = true;
+      }
+    }
+    class EnhancementTwo {
+      constructor(viewModel) {
+        this.context = enhance.getContext(viewModel);
+        this.context.two = true;
+      }
+    }
+    const Sut = enhance(EnhancementTwo)(enhance(EnhancementOne)(Base));
+    let sut = null;
+    let other = null;
+    // When
+    sut = new Sut();
+    other = new Sut();
+    // Then
+    expect(enhance.getContext(sut)).toEqual({ one: true, two: true });
+    expect(enhance.getEnhancementInstance(sut, EnhancementOne).context).toBe(
+      enhance.getContext(sut),
+    );
+    expect(enhance.getContext(other)).not.toBe(enhance.getContext(sut));
+  });
+
+  it('should throw an error if a required enhancement is missing', () => {
+    // Given
+    class Base {}
+    class Storage {}
+    class Logger {}
+    Logger.requires = [Storage];
+    // When/Then
+    expect(() => enhance(Logger)(Base)).toThrow(
+      /'Logger' requires 'Storage', but it wasn't applied before it on 'Base'/i,
+    );
+    expect(() => enhance(Logger, Storage)(Base)).toThrow(/'Logger' requires 'Storage'/i);
+    Logger.requires = 'Storage';
+    expect(() => enhance(Storage, Logger)(Base)).toThrow(
+      /The requirements of 'Logger' should be a list of enhancement classes/i,
+    );
+  });
+
+  it('should throw an error if the enhancements have circular requirements', () => {
+    // Given
+    class Base {}
+    class EnhancementOne {}
+    class EnhancementTwo {}
+    EnhancementOne.requires = [EnhancementTwo];
+    EnhancementTwo.requires = [EnhancementOne];
+    // When/Then
+    expect(() => enhance(EnhancementOne, EnhancementTwo)(Base)).toThrow(
+      /Circular enhancement requirement: EnhancementOne -> EnhancementTwo -> EnhancementOne/i,
+    );
+  });
+
+  it('should return the same composed method every time it is accessed', () => {
+    // Given
+    class Base {
+      onClick() {}
+    }
+    class EnhancementOne {
+      onClick() {}
+
+      helper() {}
+    }
+    class EnhancementTwo {
+      onClick() {}
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    // Then
+    expect(sut.onClick).toBe(sut.onClick);
+    expect(sut.helper).toBe(sut.helper);
+  });
+
+  it('should create a new composed method if the target method changes', () => {
+    // Given
+    const baseClick = jest.fn();
+    const newClick = jest.fn();
+    const enhancementClick = jest.fn();
+    class Base {
+      onClick(...args) {
+        return baseClick(...args);
+      }
+    }
+    class Enhancement {
+      onClick(...args) {
+        return enhancementClick(...args);
+      }
+    }
+    let sut = null;
+    let before = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    before = sut.onClick;
+    sut.onClick = newClick;
+    sut.onClick();
+    // Then
+    expect(sut.onClick).not.toBe(before);
+    expect(sut.onClick).toBe(sut.onClick);
+    expect(baseClick).toHaveBeenCalledTimes(0);
+    expect(newClick).toHaveBeenCalledTimes(1);
+    expect(enhancementClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('should support subclasses of an enhanced class', () => {
+    // Given
+    const baseAttached = jest.fn();
+    const childAttached = jest.fn();
+    const enhancementAttached = jest.fn();
+    class Base {
+      attached(...args) {
+        return baseAttached(...args);
+      }
+    }
+    class Enhancement {
+      attached(...args) {
+        return enhancementAttached(...args);
+      }
+    }
+    const Enhanced = enhance(Enhancement)(Base);
+    class Child extends Enhanced {
+      constructor(...args) {
+        super(...args);
+        this.name = 'child';
+      }
+
+      attached(...args) {
+        childAttached(...args);
+        return super.attached(...args);
+      }
+
+      getName() {
+        return this.name;
+      }
+    }
+    let sut = null;
+    // When
+    sut = new Child();
+    sut.attached('arg');
+    // Then
+    expect(sut).toBeInstanceOf(Child);
+    expect(sut).toBeInstanceOf(Enhanced);
+    expect(sut).toBeInstanceOf(Base);
+    expect(sut.constructor).toBe(Child);
+    expect(sut.getName()).toBe('child');
+    expect(enhancementAttached).toHaveBeenCalledTimes(1);
+    expect(enhancementAttached).toHaveBeenCalledWith('arg');
+    expect(childAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledTimes(1);
+    expect(baseAttached).toHaveBeenCalledWith('arg');
+  });
+
+  it('should merge the dependencies of a subclass with the ones of its parent', () => {
+    // Given
+    class ChildService {}
+    class BaseService {}
+    class EnhancementService {}
+    class Base {
+      constructor(baseService) {
+        this.baseService = baseService;
+      }
+    }
+    Base.inject = [BaseService];
+    class EnhancementOne {
+      constructor(viewModel, enhancementService) {
+        this.enhancementService = enhancementService;
+      }
+    }
+    EnhancementOne.inject = [EnhancementService];
+    class Child extends enhance(EnhancementOne)(Base) {
+      constructor(childService, ...args) {
+        super(...args);
+        this.childService = childService;
+      }
+    }
+    Child.inject = [ChildService];
+    class EnhancementTwo {}
+    let Sut = null;
+    let sut = null;
+    // When
+    Sut = enhance(EnhancementTwo)(Child);
+    sut = new Sut(...Sut.inject.map((Dep) => new Dep()));
+    // Then
+    expect(Sut.inject).toEqual([ChildService, BaseService, EnhancementService]);
+    expect(sut.childService).toBeInstanceOf(ChildService);
+    expect(sut.baseService).toBeInstanceOf(BaseService);
+    expect(
+      enhance.getEnhancementInstance(sut, EnhancementOne).enhancementService,
+    ).toBeInstanceOf(EnhancementService);
+  });
+
+  it('should support targets with private fields and methods', () => {
+    // Given
+    const enhancementAttached = jest.fn();
+    class Base {
+      #count = 0;
+
+      #increment() {
+        this.#count++;
+      }
+
+      attached() {
+        this.#increment();
+      }
+
+      getCount() {
+        return this.#count;
+      }
+    }
+    class Enhancement {
+      #calls = 0;
+
+      attached() {
+        this.#calls++;
+        enhancementAttached(this.#calls);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached();
+    sut.attached();
+    // Then
+    expect(sut.getCount()).toBe(2);
+    expect(sut.getCount).toBe(sut.getCount);
+    expect(enhancementAttached).toHaveBeenCalledTimes(2);
+    expect(enhancementAttached).toHaveBeenLastCalledWith(2);
+  });
+
+  it('should support targets that extend built-in classes', () => {
+    // Given
+    const enhancementSet = jest.fn();
+    class Base extends Map {
+      attached() {
+        this.set('attached', true);
+      }
+    }
+    class Enhancement {
+      attached() {
+        enhancementSet();
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached();
+    sut.set('name', 'base');
+    // Then
+    expect(sut.get('attached')).toBe(true);
+    expect(sut.size).toBe(2);
+    expect([...sut.keys()]).toEqual(['attached', 'name']);
+    expect(Object.fromEntries(sut)).toEqual({ attached: true, name: 'base' });
+    expect(enhancementSet).toHaveBeenCalledTimes(1);
+  });
+
+  it('should support built-in subclasses with overrides that call super', () => {
+    // Given
+    const enhancementGet = jest.fn();
+    class Base extends Map {
+      get(key) {
+        return super.get(key) || 'default';
+      }
+
+      set(key, value) {
+        return super.set(key, value.toUpperCase());
+      }
+    }
+    class Enhancement {
+      get(key) {
+        enhancementGet(key);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.set('name', 'base');
+    // Then
+    expect(sut.get('name')).toBe('BASE');
+    expect(sut.get('other')).toBe('default');
+    expect(sut.has('name')).toBe(true);
+    expect(enhancementGet).toHaveBeenCalledTimes(2);
+    expect(enhancementGet).toHaveBeenLastCalledWith('other');
+  });
+
+  it('should support targets with brand checks through a helper', () => {
+    // Given
+    const enhancementAttached = jest.fn();
+    class Base {
+      static read(instance) {
+        return instance.#count;
+      }
+
+      static increment(instance) {
+        instance.#increment();
+      }
+
+      #count = 0;
+
+      #increment() {
+        this.#count++;
+      }
+
+      attached() {
+        Base.increment(this);
+      }
+
+      getCount() {
+        return Base.read(this);
+      }
+    }
+    class Enhancement {
+      attached() {
+        enhancementAttached();
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached();
+    sut.attached();
+    // Then
+    expect(sut.getCount()).toBe(2);
+    expect(enhancementAttached).toHaveBeenCalledTimes(2);
+  });
+
+  it('should call the target methods with the enhanced instance as their context', () => {
+    // Given
+    const contexts = [];
+    class Base {
+      attached() {
+        contexts.push(this);
+      }
+
+      save() {
+        contexts.push(this);
+        return this.attached();
+      }
+    }
+    class EnhancementOne {
+      attached() {}
+    }
+    class EnhancementTwo {}
+    let sut = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    sut.attached();
+    sut.save();
+    // Then
+    expect(contexts).toHaveLength(3);
+    expect(contexts.every((context) => context === sut)).toBe(true);
+  });
+
+  it('should call the Aurelia 1 methods of an enhancement on the Aurelia 2 mode', () => {
+    // Given
+    const baseCanUnload = jest.fn(() => true);
+    const enhancementCanDeactivate = jest.fn(() => false);
+    const enhancementDetached = jest.fn();
+    class Base {
+      canUnload(...args) {
+        return baseCanUnload(...args);
+      }
+    }
+    class FormConfirmation {
+      canDeactivate(...args) {
+        return enhancementCanDeactivate(...args);
+      }
+
+      detached(...args) {
+        return enhancementDetached(...args);
+      }
+    }
+    let sut = null;
+    let result = null;
+    let hasDetaching = null;
+    // When
+    enhance.setMode(enhance.modes.aurelia2);
+    sut = new (enhance(FormConfirmation)(Base))();
+    result = sut.canUnload('arg');
+    sut.detaching();
+    hasDetaching = 'detaching' in sut;
+    enhance.setMode(enhance.modes.aurelia1);
+    // Then
+    expect(result).toBe(false);
+    expect(enhancementCanDeactivate).toHaveBeenCalledWith('arg');
+    expect(baseCanUnload).toHaveBeenCalledTimes(0);
+    expect(enhancementDetached).toHaveBeenCalledTimes(1);
+    expect(hasDetaching).toBe(true);
+  });
+
+  it('should call the Aurelia 2 methods of an enhancement on the Aurelia 1 mode', () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    const enhancementCanUnload = jest.fn(() => true);
+    const enhancementBinding = jest.fn();
+    class Base {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+    }
+    class FormConfirmation {
+      canUnload(...args) {
+        return enhancementCanUnload(...args);
+      }
+
+      binding(...args) {
+        return enhancementBinding(...args);
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    enhance.setLifecycleAliases({ bind: 'binding' });
+    sut = new (enhance(FormConfirmation)(Base))();
+    result = sut.canDeactivate();
+    sut.bind();
+    enhance.setLifecycleAliases({ bind: 'bound' });
+    // Then
+    expect(result).toBe(true);
+    expect(enhancementCanUnload).toHaveBeenCalledTimes(1);
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(enhancementBinding).toHaveBeenCalledTimes(1);
+  });
+
+  it('should read the dependencies from the Aurelia 2 metadata', () => {
+    // Given
+    class ServiceOne {}
+    class ServiceTwo {}
+    class Base {}
+    class Enhancement {}
+    const metadata = new Map([
+      [Base, [ServiceOne]],
+      [Enhancement, [ServiceTwo]],
+    ]);
+    mockMetadata({
+      getOwnMetadata: jest.fn((key, target) =>
+        key === 'au:annotation:di:paramtypes' ? metadata.get(target) : undefined,
+      ),
+    });
+    let aurelia1 = null;
+    let aurelia2 = null;
+    // When
+    aurelia1 = enhance(Enhancement)(Base).inject;
+    enhance.setMode(enhance.modes.aurelia2);
+    aurelia2 = enhance(Enhancement)(Base).inject;
+    enhance.setMode(enhance.modes.aurelia1);
+    // Then
+    expect(aurelia1).toEqual([]);
+    expect(aurelia2).toEqual([ServiceOne, ServiceTwo]);
+  });
+
+  it('should throw an error when trying to use an invalid mode', () => {
+    // Given/When/Then
+    expect(() => enhance.setMode('aurelia3')).toThrow(
+      /Invalid mode 'aurelia3', it should be one of: aurelia1, aurelia2/i,
+    );
+  });
+
+  it('should enhance a target method on a layer that is not the first one', () => {
+    // Given
+    const baseCanDeactivate = jest.fn(() => true);
+    const enhancementCanDeactivate = jest.fn(() => true);
+    class Base extends Map {
+      canDeactivate(...args) {
+        return baseCanDeactivate(...args);
+      }
+    }
+    class EnhancementOne {}
+    class EnhancementTwo {
+      canDeactivate(...args) {
+        return enhancementCanDeactivate(...args);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    sut.canDeactivate();
+    sut.set('name', 'base');
+    // Then
+    expect(enhancementCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(baseCanDeactivate).toHaveBeenCalledTimes(1);
+    expect(sut.get('name')).toBe('base');
+  });
+
+  it('should apply the global enhancements to the resources Aurelia creates', () => {
+    // Given
+    const logAttached = jest.fn();
+    const confirmCanDeactivate = jest.fn(() => true);
+    class LogStatus {
+      attached() {
+        logAttached();
+      }
+    }
+    class FormConfirmation {
+      canDeactivate() {
+        return confirmCanDeactivate();
+      }
+    }
+    class Service {}
+    class Home {
+      constructor(service) {
+        this.service = service;
+      }
+
+      attached() {}
+    }
+    Home.inject = [Service];
+    class UserPage {
+      attached() {}
+
+      canDeactivate() {
+        return true;
+      }
+    }
+    class Tooltip {}
+    const metadata = new Map([
+      [Home, { elementName: 'home' }],
+      [UserPage, { elementName: 'user-page' }],
+      [Tooltip, { attributeName: 'tooltip' }],
+    ]);
+    mockMetadata({
+      getOwnMetadata: jest.fn((key, target) =>
+        key === 'aurelia:resource' ? metadata.get(target) : undefined,
+      ),
+    });
+    const container = {
+      setHandlerCreatedCallback: jest.fn(),
+    };
+    const createHandler = (fn) => ({ fn, dependencies: [], invoker: {} });
+    let onHandlerCreated = null;
+    let home = null;
+    let userPage = null;
+    let tooltip = null;
+    let service = null;
+    let EnhancedUserPage = null;
+    // When
+    enhance.configure(
+      { container },
+      {
+        global: [LogStatus, { use: FormConfirmation, type: 'route', name: /Page$/ }],
+      },
+    );
+    [[onHandlerCreated]] = container.setHandlerCreatedCallback.mock.calls;
+    home = onHandlerCreated(createHandler(Home));
+    userPage = onHandlerCreated(createHandler(UserPage));
+    tooltip = onHandlerCreated(createHandler(Tooltip));
+    service = onHandlerCreated(createHandler(Service));
+    EnhancedUserPage = userPage.fn;
+    // Then
+    expect(enhance.getEnhancements(home.fn)).toEqual([LogStatus]);
+    expect(home.dependencies).toEqual([Service]);
+    expect(enhance.getEnhancements(userPage.fn)).toEqual([LogStatus, FormConfirmation]);
+    expect(tooltip.fn).toBe(Tooltip);
+    expect(service.fn).toBe(Service);
+    new EnhancedUserPage().canDeactivate();
+    expect(confirmCanDeactivate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should allow a class to opt out of the global enhancements', () => {
+    // Given
+    class LogStatus {}
+    class FormConfirmation {}
+    class Home {}
+    Home.skipGlobalEnhancements = true;
+    class About {}
+    About.skipGlobalEnhancements = [LogStatus];
+    class Contact {}
+    mockMetadata({
+      getOwnMetadata: jest.fn((key) =>
+        key === 'aurelia:resource' ? { elementName: 'page' } : undefined,
+      ),
+    });
+    const container = {
+      setHandlerCreatedCallback: jest.fn(),
+    };
+    const Enhanced = enhance(LogStatus)(Contact);
+    let onHandlerCreated = null;
+    let home = null;
+    let about = null;
+    let contact = null;
+    // When
+    enhance.configure(
+      { container },
+      { global: [LogStatus, { use: FormConfirmation, test: () => true }] },
+    );
+    [[onHandlerCreated]] = container.setHandlerCreatedCallback.mock.calls;
+    home = onHandlerCreated({ fn: Home });
+    about = onHandlerCreated({ fn: About });
+    contact = onHandlerCreated({ fn: Enhanced });
+    // Then
+    expect(home.fn).toBe(Home);
+    expect(enhance.getEnhancements(about.fn)).toEqual([FormConfirmation]);
+    expect(enhance.getEnhancements(contact.fn)).toEqual([LogStatus, FormConfirmation]);
+  });
+
+  it('should throw an error if a global enhancement uses an invalid resource type', () => {
+    // Given
+    class LogStatus {}
+    const container = {
+      setHandlerCreatedCallback: jest.fn(),
+    };
+    // When/Then
+    expect(() =>
+      enhance.configure({ container }, { global: [{ use: LogStatus, type: 'service' }] }),
+    ).toThrow(/Invalid resource type 'service' for 'LogStatus'/i);
+    expect(container.setHandlerCreatedCallback).toHaveBeenCalledTimes(0);
+  });
+
+  it('should preserve and merge the metadata of the target and the enhancement', () => {
+    // Given
+    const store = new Map();
+    const getStore = (target) => {
+      if (!store.has(target)) store.set(target, new Map());
+      return store.get(target);
+    };
+    mockMetadata({
+      getOwnMetadata: (key, target) => getStore(target).get(key),
+      defineMetadata: (key, value, target) => getStore(target).set(key, value),
+      getOwnMetadataKeys: (target) => [...getStore(target).keys()],
+    });
+    class Resource {
+      constructor(properties) {
+        this.properties = properties;
+        this.attributes = properties.reduce(
+          (acc, property) => ({ ...acc, [property.attribute]: property }),
+          {},
+        );
+      }
+    }
+    const valueProperty = { name: 'value', attribute: 'value' };
+    const confirmProperty = { name: 'confirm', attribute: 'confirm' };
+    const registration = { singleton: true };
+    const routeConfig = { route: 'form' };
+    class Base {}
+    Reflect.defineMetadata('aurelia:resource', new Resource([valueProperty]), Base);
+    Reflect.defineMetadata('aurelia:registration', registration, Base);
+    class Enhancement {}
+    Reflect.defineMetadata(
+      'aurelia:resource',
+      new Resource([confirmProperty, valueProperty]),
+      Enhancement,
+    );
+    Reflect.defineMetadata('aurelia:route-config', routeConfig, Enhancement);
+    Reflect.defineMetadata('design:paramtypes', [Base], Enhancement);
+    let Sut = null;
+    let resource = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    resource = Reflect.getOwnMetadata('aurelia:resource', Sut);
+    // Then
+    expect(resource).toBeInstanceOf(Resource);
+    expect(resource.properties).toEqual([valueProperty, confirmProperty]);
+    expect(resource.attributes).toEqual({
+      value: valueProperty,
+      confirm: confirmProperty,
+    });
+    expect(getStore(Base).get('aurelia:resource').properties).toEqual([valueProperty]);
+    expect(getStore(Sut).get('aurelia:registration')).toBe(registration);
+    expect(getStore(Sut).get('aurelia:route-config')).toBe(routeConfig);
+    expect(getStore(Sut).has('design:paramtypes')).toBe(false);
+  });
+
+  it('should give the enhanced classes their own aurelia-polyfills metadata', () => {
+    // Given
+    const containerKey = '__metadata__';
+    const hasContainer = (target) =>
+      Object.prototype.hasOwnProperty.call(target, containerKey);
+    mockMetadata({
+      getOwnMetadata: (key, target, targetKey) =>
+        hasContainer(target) ? (target[containerKey][targetKey] || {})[key] : undefined,
+      defineMetadata: (key, value, target, targetKey) => {
+        if (!hasContainer(target)) {
+          Object.assign(target, { [containerKey]: {} });
+        }
+
+        const containers = target[containerKey];
+        containers[targetKey] = { ...containers[targetKey], [key]: value };
+      },
+      getOwnMetadataKeys: undefined,
+    });
+    const view = { strategy: 'inline' };
+    const otherView = { strategy: 'relative' };
+    class Base {}
+    Reflect.defineMetadata('aurelia:view-strategy', view, Base);
+    class Enhancement {}
+    let Sut = null;
+    let sutView = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    sutView = Reflect.getOwnMetadata('aurelia:view-strategy', Sut);
+    Reflect.defineMetadata('aurelia:view-strategy', otherView, Sut);
+    // Then
+    expect(sutView).toBe(view);
+    expect(Reflect.getOwnMetadata('aurelia:view-strategy', Sut)).toBe(otherView);
+    expect(Reflect.getOwnMetadata('aurelia:view-strategy', Base)).toBe(view);
+  });
+
+  it('should send the options of an enhancement to its constructor', () => {
+    // Given
+    const message = 'Are you sure?';
+    class Dep {}
+    class Base {}
+    class Enhancement {
+      static get inject() {
+        return [Dep];
+      }
+      static get defaultOptions() {
+        return { message: 'Leave?', flag: 'isSaved' };
+      }
+      constructor(target, dep, options) {
+        this.dep = dep;
+        this.options = options;
+      }
+    }
+    let Sut = null;
+    let sut = null;
+    let enhancementInstance = null;
+    // When
+    Sut = enhance(enhance.withOptions(Enhancement, { message }))(Base);
+    sut = new Sut(new Dep());
+    enhancementInstance = enhance.getEnhancementInstance(sut, Enhancement);
+    // Then
+    expect(enhancementInstance.dep).toBeInstanceOf(Dep);
+    expect(enhancementInstance.options).toEqual({ message, flag: 'isSaved' });
+  });
+
+  it('should allow an enhancement to be used twice with different options', () => {
+    // Given
+    class Base {
+      attached() {}
+    }
+    class Enhancement {
+      constructor(target, options) {
+        this.options = options;
+      }
+      attached() {
+        this.options.log.push(this.options.name);
+      }
+    }
+    const log = [];
+    let Sut = null;
+    let sut = null;
+    // When
+    Sut = enhance(
+      enhance.withOptions(Enhancement, { name: 'first', log }),
+      enhance.withOptions(
+        { use: Enhancement, only: ['attached'] },
+        { name: 'second', log },
+      ),
+    )(Base);
+    sut = new Sut();
+    sut.attached();
+    // Then
+    expect(enhance.getEnhancements(Sut)).toEqual([Enhancement, Enhancement]);
+    expect(log).toEqual(['second', 'first']);
+  });
+
+  it("shouldn't send options to an enhancement that wasn't configured", () => {
+    // Given
+    class Base {}
+    class Enhancement {
+      constructor(...args) {
+        this.args = args;
+      }
+    }
+    let Sut = null;
+    let sut = null;
+    // When
+    Sut = enhance(Enhancement)(Base);
+    sut = new Sut();
+    // Then
+    expect(enhance.getEnhancementInstance(sut, Enhancement).args).toEqual([
+      expect.any(Base),
+    ]);
+  });
+
+  it('should validate the options of an enhancement', () => {
+    // Given
+    class Base {}
+    class Enhancement {
+      static validateOptions(options) {
+        if (typeof options.message !== 'string') {
+          throw new Error(`'${this.name}' needs a message`);
+        }
+      }
+    }
+    // When/Then
+    expect(() => enhance(enhance.withOptions(Enhancement, {}))(Base)).toThrow(
+      /'Enhancement' needs a message/i,
+    );
+    expect(() => enhance(enhance.withOptions(Enhancement, 'message'))(Base)).toThrow(
+      /the options of 'Enhancement' should be an object/i,
+    );
+    expect(() =>
+      enhance(enhance.withOptions(Enhancement, { message: 'Leave?' }))(Base),
+    ).not.toThrow();
+  });
+
+  it('should enhance a class with a factory function', () => {
+    // Given
+    class DepOne {}
+    class DepTwo {}
+    class Base {
+      static get inject() {
+        return [DepOne];
+      }
+      constructor(depOne) {
+        this.depOne = depOne;
+      }
+      attached() {
+        return 'base';
+      }
+      enhancedAttachedReturnFromLogStatus(...args) {
+        this.returned = args;
+      }
+    }
+    const factory = jest.fn((viewModel, depTwo) => ({
+      depTwo,
+      attached() {
+        return `${viewModel.depOne.constructor.name}-${depTwo.constructor.name}`;
+      },
+    }));
+    const LogStatus = enhance.fromFactory(factory, {
+      name: 'LogStatus',
+      inject: [DepTwo],
+    });
+    let Sut = null;
+    let sut = null;
+    let result = null;
+    // When
+    Sut = enhance(LogStatus)(Base);
+    sut = new Sut(new DepOne(), new DepTwo());
+    result = sut.attached();
+    // Then
+    expect(Sut.inject).toEqual([DepOne, DepTwo]);
+    expect(factory).toHaveBeenCalledTimes(1);
+    expect(factory).toHaveBeenCalledWith(expect.any(Base), expect.any(DepTwo));
+    expect(enhance.getEnhancementInstance(sut, LogStatus)).toBe(
+      factory.mock.results[0].value,
+    );
+    expect(result).toBe('base');
+    expect(sut.returned).toEqual([
+      'DepOne-DepTwo',
+      enhance.getEnhancementInstance(sut, LogStatus),
+    ]);
+    expect(sut.depTwo).toBeInstanceOf(DepTwo);
+    expect(enhance.getEnhancements(Sut)).toEqual([LogStatus]);
+  });
+
+  it('should enhance a class with an object of hooks', () => {
+    // Given
+    class Base {
+      constructor() {
+        this.calls = [];
+      }
+      attached() {
+        this.calls.push('base');
+      }
+    }
+    const TrackAttached = enhance.fromHooks(
+      {
+        attached() {
+          this.calls.push('hook');
+        },
+      },
+      { strategy: 'after' },
+    );
+    let Sut = null;
+    let sut = null;
+    // When
+    Sut = enhance(TrackAttached)(Base);
+    sut = new Sut();
+    sut.attached();
+    // Then
+    expect(TrackAttached.name).toBe('HooksEnhancement');
+    expect(sut.calls).toEqual(['base', 'hook']);
+  });
+
+  it('should validate the factories and hooks of the enhancements', () => {
+    // Given
+    class Base {}
+    const Invalid = enhance.fromFactory(() => null, { name: 'Invalid' });
+    // When/Then
+    expect(() => enhance.fromFactory({})).toThrow(/should be a function/i);
+    expect(() => enhance.fromFactory(() => ({}), 'settings')).toThrow(
+      /the settings of 'FactoryEnhancement' should be an object/i,
+    );
+    expect(() => enhance.fromHooks(() => {})).toThrow(/hooks should be an object/i);
+    expect(() => enhance.fromHooks({}, { inject: [Base] })).toThrow(
+      /can't have dependencies/i,
+    );
+    expect(() =>
+      enhance(enhance.fromFactory(() => ({}), { strategy: 'x' }))(Base),
+    ).toThrow(/invalid strategy 'x'/i);
+    expect(() => new (enhance(Invalid)(Base))()).toThrow(
+      /'Invalid' should create an object/i,
+    );
+  });
+
+  it('should only apply a conditional enhancement when its condition is met', () => {
+    // Given
+    class FeatureFlags {
+      constructor(enabled) {
+        this.enabled = enabled;
+      }
+    }
+    class AuditService {}
+    class Base {
+      attached() {
+        return 'base';
+      }
+    }
+    class AuditTrail {
+      static get inject() {
+        return [AuditService];
+      }
+      constructor(target, auditService) {
+        this.auditService = auditService;
+      }
+      attached() {
+        return 'audit';
+      }
+    }
+    const isAuditEnabled = jest.fn((context, featureFlags) => featureFlags.enabled);
+    isAuditEnabled.inject = [FeatureFlags];
+    const auditService = new AuditService();
+    const container = {
+      get: jest.fn((key) => (key === AuditService ? auditService : null)),
+    };
+    const createInstance = (Cls, featureFlags) =>
+      new Cls(
+        ...Cls.inject.map((dep) =>
+          dep === FeatureFlags ? featureFlags : dep.get(container, dep),
+        ),
+      );
+    let Sut = null;
+    let disabled = null;
+    let enabled = null;
+    // When
+    Sut = enhance(enhance.when(isAuditEnabled, AuditTrail))(Base);
+    disabled = createInstance(Sut, new FeatureFlags(false));
+    enabled = createInstance(Sut, new FeatureFlags(true));
+    // Then
+    expect(Sut.inject).toEqual([FeatureFlags, expect.any(Object)]);
+    expect(Sut.inject[1]['protocol:aurelia:resolver']).toBe(true);
+    expect(isAuditEnabled).toHaveBeenCalledTimes(2);
+    expect(isAuditEnabled).toHaveBeenCalledWith(
+      { target: expect.any(Base), Enhancement: AuditTrail, options: null },
+      expect.any(FeatureFlags),
+    );
+    expect(disabled).toBeInstanceOf(Base);
+    expect(disabled.constructor).toBe(Sut);
+    expect(enhance.getEnhancementInstance(disabled, AuditTrail)).toBeNull();
+    expect(disabled.attached()).toBe('base');
+    expect(enhance.getEnhancementInstance(enabled, AuditTrail).auditService).toBe(
+      auditService,
+    );
+    expect(enabled.attached()).toBe('base');
+    expect(container.get).toHaveBeenCalledTimes(1);
+    expect(container.get).toHaveBeenCalledWith(AuditService);
+  });
+
+  it('should send the dependencies to a conditional enhancement created manually', () => {
+    // Given
+    class Dep {}
+    class Base {}
+    class Enhancement {
+      static get inject() {
+        return [Dep];
+      }
+      constructor(target, dep) {
+        this.dep = dep;
+      }
+    }
+    const dep = new Dep();
+    let Sut = null;
+    let sut = null;
+    // When
+    Sut = enhance(enhance.when(() => true, { use: Enhancement, only: ['attached'] }))(
+      Base,
+    );
+    sut = new Sut(dep);
+    // Then
+    expect(enhance.getEnhancementInstance(sut, Enhancement).dep).toBe(dep);
+  });
+
+  it('should throw an error if the condition of an enhancement is not a function', () => {
+    // Given
+    class Enhancement {}
+    // When/Then
+    expect(() => enhance(enhance.when(true, Enhancement))).toThrow(
+      /the condition of 'Enhancement' should be a function/i,
+    );
+  });
+
+  it('should create a lazy enhancement the first time one of its methods is called', () => {
+    // Given
+    class Router {}
+    class Base {
+      attached() {
+        return 'base';
+      }
+      canDeactivate() {
+        return true;
+      }
+    }
+    const created = jest.fn();
+    class Enhancement {
+      static get inject() {
+        return [Router];
+      }
+      constructor(target, router) {
+        created(router);
+        this.calls = 0;
+      }
+      canDeactivate() {
+        this.calls++;
+        return false;
+      }
+      confirm() {
+        return this.calls;
+      }
+    }
+    const router = new Router();
+    const container = { get: jest.fn(() => router) };
+    let Sut = null;
+    let sut = null;
+    let method = null;
+    let before = null;
+    // When
+    Sut = enhance({ use: Enhancement, lazy: true })(Base);
+    sut = new Sut(Sut.inject[0].get(container, Sut.inject[0]));
+    method = sut.canDeactivate;
+    before = {
+      created: created.mock.calls.length,
+      resolved: container.get.mock.calls.length,
+      attached: sut.attached(),
+      inSut: 'canDeactivate' in sut && 'confirm' in sut,
+      keys: Object.keys(sut),
+    };
+    // Then
+    expect(before).toEqual({
+      created: 0,
+      resolved: 0,
+      attached: 'base',
+      inSut: true,
+      keys: [],
+    });
+    expect(method()).toBe(false);
+    expect(created).toHaveBeenCalledTimes(1);
+    expect(created).toHaveBeenCalledWith(router);
+    expect(sut.confirm()).toBe(1);
+    expect(sut.calls).toBe(1);
+    expect(Object.keys(sut)).toEqual(['calls']);
+    expect(created).toHaveBeenCalledTimes(1);
+  });
+
+  it('should create a lazy enhancement when its instance is requested', () => {
+    // Given
+    class Base {}
+    const created = jest.fn();
+    class Enhancement {
+      static get lazy() {
+        return true;
+      }
+      constructor() {
+        created();
+      }
+      confirm() {
+        return 'confirm';
+      }
+    }
+    let sut = null;
+    let before = null;
+    let instance = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    before = created.mock.calls.length;
+    instance = enhance.getEnhancementInstance(sut, Enhancement);
+    // Then
+    expect(before).toBe(0);
+    expect(instance).toBeInstanceOf(Enhancement);
+    expect(created).toHaveBeenCalledTimes(1);
+    expect(sut.confirm()).toBe('confirm');
+    expect(enhance.getEnhancementInstance(sut, Enhancement)).toBe(instance);
+  });
+
+  it('should throw an error if a lazy enhancement does not define its methods', () => {
+    // Given
+    class Base {
+      attached() {}
+    }
+    const FromFactory = enhance.fromFactory(() => ({ attached: () => {} }), {
+      name: 'FromFactory',
+    });
+    const FromHooks = enhance.fromHooks({ attached: () => {} }, { name: 'FromHooks' });
+    class FromConstructor {
+      static get lazy() {
+        return true;
+      }
+      constructor() {
+        this.attached = () => {};
+      }
+    }
+    // When/Then
+    expect(() => enhance({ use: FromFactory, lazy: true })(Base)).toThrow(
+      /'FromFactory' can't be lazy/i,
+    );
+    expect(() => enhance({ use: FromHooks, lazy: true })(Base)).toThrow(
+      /'FromHooks' can't be lazy/i,
+    );
+    expect(() => enhance(FromConstructor)(Base)).toThrow(
+      /'FromConstructor' can't be lazy/i,
+    );
+    expect(() => enhance(enhance.fromFactory(() => ({}), { lazy: true }))(Base)).toThrow(
+      /can't be lazy/i,
+    );
+  });
+
+  it('should attach and detach enhancements on an instance at runtime', () => {
+    // Given
+    class Dep {}
+    class Base {
+      constructor() {
+        this.calls = [];
+      }
+      attached() {
+        this.calls.push('base');
+      }
+    }
+    class EnhancementOne {
+      constructor(target) {
+        this.target = target;
+      }
+      attached() {
+        this.target.calls.push('one');
+      }
+    }
+    const dispose = jest.fn();
+    class EnhancementTwo {
+      constructor(target, dep) {
+        this.target = target;
+        this.dep = dep;
+      }
+      attached() {
+        this.target.calls.push('two');
+      }
+      dispose() {
+        dispose(this);
+      }
+    }
+    const dep = new Dep();
+    let sut = null;
+    let attached = null;
+    let instance = null;
+    let detached = null;
+    // When
+    sut = new (enhance(EnhancementOne)(Base))();
+    attached = enhance.attachEnhancement(sut, EnhancementTwo, [dep]);
+    instance = enhance.getEnhancementInstance(sut, EnhancementTwo);
+    sut.attached();
+    detached = enhance.detachEnhancement(sut, EnhancementTwo);
+    sut.attached();
+    // Then
+    expect(attached).toBe(true);
+    expect(detached).toBe(true);
+    expect(instance.dep).toBe(dep);
+    expect(instance.target).toBe(
+      enhance.getEnhancementInstance(sut, EnhancementOne).target,
+    );
+    expect(sut.calls).toEqual(['two', 'one', 'base', 'one', 'base']);
+    expect(dispose).toHaveBeenCalledTimes(1);
+    expect(dispose).toHaveBeenCalledWith(instance);
+    expect(enhance.getEnhancementInstance(sut, EnhancementTwo)).toBeNull();
+    expect(enhance.detachEnhancement(sut, EnhancementTwo)).toBe(false);
+  });
+
+  it('should detach the last enhancement of an instance and attach a new one', () => {
+    // Given
+    class Base {
+      attached() {
+        return 'base';
+      }
+    }
+    class EnhancementOne {
+      attached() {
+        return 'one';
+      }
+    }
+    class EnhancementTwo {
+      attached() {
+        return 'two';
+      }
+      helper() {
+        return 'helper';
+      }
+    }
+    let sut = null;
+    let method = null;
+    let results = null;
+    // When
+    sut = new (enhance(EnhancementOne)(Base))();
+    method = sut.attached;
+    enhance.detachEnhancement(sut, EnhancementOne);
+    results = {
+      detached: [method(), 'helper' in sut],
+    };
+    enhance.attachEnhancement(sut, {
+      use: EnhancementTwo,
+      only: ['attached', 'helper'],
+    });
+    results.attached = [sut.attached(), sut.helper()];
+    // Then
+    expect(results).toEqual({
+      detached: ['base', false],
+      attached: ['base', 'helper'],
+    });
+    expect(sut).toBeInstanceOf(Base);
+    expect(enhance.getEnhancementInstance(sut, EnhancementTwo)).toBeInstanceOf(
+      EnhancementTwo,
+    );
+  });
+
+  it('should validate the enhancements attached at runtime', () => {
+    // Given
+    class Base {}
+    class EnhancementOne {}
+    class EnhancementTwo {
+      static get requires() {
+        return [EnhancementOne];
+      }
+    }
+    const sut = new (enhance(EnhancementTwo.requires[0])(Base))();
+    const other = new (enhance(class Other {})(Base))();
+    // When/Then
+    expect(() => enhance.attachEnhancement(new Base(), EnhancementOne)).toThrow(
+      /only be attached to instances of enhanced classes/i,
+    );
+    expect(() => enhance.attachEnhancement(other, EnhancementTwo)).toThrow(
+      /'EnhancementTwo' requires 'EnhancementOne', but the instance doesn't have it/i,
+    );
+    expect(
+      enhance.attachEnhancement(
+        sut,
+        enhance.when(() => false, EnhancementTwo),
+      ),
+    ).toBe(false);
+    expect(enhance.getEnhancementInstance(sut, EnhancementTwo)).toBeNull();
+    expect(enhance.attachEnhancement(sut, EnhancementTwo)).toBe(true);
+  });
+
+  it('should send the dependencies of the condition of an enhancement attached at runtime', () => {
+    // Given
+    class Flags {
+      constructor(list) {
+        this.list = list;
+      }
+    }
+    class Service {}
+    class Base {}
+    class EnhancementOne {}
+    class EnhancementTwo {
+      static get inject() {
+        return [Service];
+      }
+
+      constructor(viewModel, service) {
+        this.service = service;
+      }
+    }
+    const condition = jest.fn((context, flags) => flags.list.includes('two'));
+    condition.inject = [Flags];
+    const service = new Service();
+    const sut = new (enhance(EnhancementOne)(Base))();
+    let results = null;
+    // When
+    results = [
+      enhance.attachEnhancement(sut, enhance.when(condition, EnhancementTwo), [
+        new Flags([]),
+        service,
+      ]),
+      enhance.attachEnhancement(sut, enhance.when(condition, EnhancementTwo), [
+        new Flags(['two']),
+        service,
+      ]),
+    ];
+    // Then
+    expect(results).toEqual([false, true]);
+    expect(condition).toHaveBeenCalledTimes(2);
+    expect(condition).toHaveBeenLastCalledWith(
+      expect.objectContaining({ Enhancement: EnhancementTwo }),
+      expect.any(Flags),
+    );
+    expect(enhance.getEnhancementInstance(sut, EnhancementTwo).service).toBe(service);
+  });
+
+  it('should replace an enhancement on the instances that have it', () => {
+    // Given
+    class Base {
+      attached() {
+        return 'base';
+      }
+    }
+    const dispose = jest.fn();
+    class Enhancement {
+      static get resultPolicy() {
+        return 'and';
+      }
+      constructor(target, options) {
+        this.options = options;
+      }
+      attached() {
+        return 'v1';
+      }
+      dispose() {
+        dispose();
+      }
+    }
+    class NewEnhancement {
+      static get strategy() {
+        return 'replace';
+      }
+      constructor(target, options) {
+        this.options = options;
+      }
+      attached() {
+        return `v2 ${this.options.name}`;
+      }
+    }
+    const Sut = enhance(enhance.withOptions(Enhancement, { name: 'sut' }))(Base);
+    let sut = null;
+    let results = null;
+    // When
+    sut = new Sut();
+    results = [sut.attached()];
+    enhance.replaceEnhancement(Enhancement, NewEnhancement);
+    results.push(sut.attached(), new Sut().attached());
+    // Then
+    expect(results).toEqual(['base', 'v2 sut', 'v2 sut']);
+    expect(dispose).toHaveBeenCalledTimes(1);
+    expect(enhance.getEnhancementInstance(sut, Enhancement)).toBeInstanceOf(
+      NewEnhancement,
+    );
+    expect(() => enhance.replaceEnhancement(Enhancement, null)).toThrow(
+      /the new version of 'Enhancement' should be a class/i,
+    );
+  });
+
+  it('should replace the enhancements of a module when it gets hot reloaded', () => {
+    // Given
+    const createHot = (data) => {
+      const handlers = [];
+      return {
+        data,
+        accept: jest.fn(),
+        dispose: jest.fn((handler) => handlers.push(handler)),
+        runDispose: () => {
+          const newData = {};
+          handlers.forEach((handler) => handler(newData));
+          return newData;
+        },
+      };
+    };
+    const createModule = (version) =>
+      class Enhancement {
+        static get strategy() {
+          return 'replace';
+        }
+        attached() {
+          return version;
+        }
+      };
+    class Base {
+      attached() {}
+    }
+    const firstHot = createHot(undefined);
+    const FirstEnhancement = createModule('v1');
+    let sut = null;
+    let secondHot = null;
+    let before = null;
+    // When
+    enhance.acceptHotReload(firstHot, FirstEnhancement);
+    sut = new (enhance(FirstEnhancement)(Base))();
+    before = sut.attached();
+    secondHot = createHot(firstHot.runDispose());
+    enhance.acceptHotReload(secondHot, createModule('v2'));
+    enhance.acceptHotReload(null, FirstEnhancement);
+    // Then
+    expect(before).toBe('v1');
+    expect(sut.attached()).toBe('v2');
+    expect(firstHot.accept).toHaveBeenCalledTimes(1);
+    expect(secondHot.accept).toHaveBeenCalledTimes(1);
+  });
+
+  it('should release the resources of an enhancement when the target gets detached', () => {
+    // Given
+    jest.useFakeTimers();
+    const element = {
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    };
+    const subscription = { dispose: jest.fn() };
+    const observable = { unsubscribe: jest.fn() };
+    const cleanup = jest.fn();
+    const tick = jest.fn();
+    const order = [];
+    class Enhancement {
+      constructor(target) {
+        this.target = target;
+      }
+      attached() {
+        const disposer = enhance.getDisposer(this);
+        disposer.track(subscription);
+        disposer.track(observable);
+        disposer.track(() => {
+          cleanup();
+          order.push('function');
+        });
+        disposer.listen(element, 'click', tick);
+        disposer.interval(tick, 10);
+        subscription.dispose.mockImplementation(() => order.push('dispose'));
+      }
+    }
+    class Base {
+      attached() {}
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached();
+    jest.advanceTimersByTime(25);
+    sut.detached();
+    jest.advanceTimersByTime(25);
+    sut.detached();
+    // Then
+    expect(tick).toHaveBeenCalledTimes(2);
+    expect(element.addEventListener).toHaveBeenCalledWith('click', tick, undefined);
+    expect(element.removeEventListener).toHaveBeenCalledWith('click', tick, undefined);
+    expect(observable.unsubscribe).toHaveBeenCalledTimes(1);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(order).toEqual(['function', 'dispose']);
+    expect('detached' in sut).toBe(true);
+    jest.useRealTimers();
+  });
+
+  it('should release the resources of an enhancement on a custom lifecycle method', async () => {
+    // Given
+    const cleanup = jest.fn();
+    class Enhancement {
+      static get disposeOn() {
+        return 'deactivate';
+      }
+      constructor() {
+        enhance.getDisposer(this).track(cleanup);
+      }
+      deactivate() {
+        return delayExec(() => 'enhancement');
+      }
+    }
+    class Base {
+      detached() {}
+    }
+    let sut = null;
+    let before = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.detached();
+    before = cleanup.mock.calls.length;
+    await sut.deactivate();
+    // Then
+    expect(before).toBe(0);
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(
+      () =>
+        new (enhance(
+          class Invalid {
+            static get disposeOn() {
+              return true;
+            }
+          },
+        )(Base))(),
+    ).toThrow(/the 'disposeOn' of 'Invalid' should be a method name/i);
+  });
+
+  it('should dispose all the enhancements of an instance', () => {
+    // Given
+    const cleanup = jest.fn();
+    const dispose = jest.fn();
+    class EnhancementOne {
+      constructor() {
+        enhance.getDisposer(this).track(cleanup);
+      }
+    }
+    class EnhancementTwo {
+      dispose() {
+        dispose();
+      }
+    }
+    class Base {}
+    let sut = null;
+    // When
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    enhance.disposeEnhancements(sut);
+    enhance.disposeEnhancements({});
+    // Then
+    expect(cleanup).toHaveBeenCalledTimes(1);
+    expect(dispose).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send the events of the composed calls to a tracer', async () => {
+    // Given
+    const events = [];
+    const tracer = jest.fn((event) => events.push(event));
+    class EnhancementOne {
+      attached(value) {
+        return `one:${value}`;
+      }
+    }
+    class EnhancementTwo {
+      static get strategy() {
+        return 'around';
+      }
+      attached(next, value) {
+        return delayExec(() => next(value));
+      }
+    }
+    class Base {
+      attached() {
+        return 'base';
+      }
+      enhancedAttachedReturns() {}
+    }
+    let sut = null;
+    let result = null;
+    // When
+    enhance.setTracer(tracer);
+    sut = new (enhance(EnhancementOne, EnhancementTwo)(Base))();
+    result = await sut.attached('value');
+    enhance.setTracer(null);
+    sut.attached('value');
+    // Then
+    expect(result).toBe('base');
+    expect(
+      events.map(({ type, phase, enhancement, hook }) =>
+        [type, phase, enhancement, hook].filter(Boolean).join(' '),
+      ),
+    ).toEqual([
+      'start enhancement EnhancementTwo',
+      'start target EnhancementTwo',
+      'start enhancement EnhancementOne',
+      'end enhancement EnhancementOne',
+      'start target EnhancementOne',
+      'end target EnhancementOne',
+      'end target EnhancementTwo',
+      'end enhancement EnhancementTwo',
+      'start hook EnhancementTwo enhancedAttachedReturns',
+      'end hook EnhancementTwo enhancedAttachedReturns',
+    ]);
+    expect(new Set(events.map(({ id }) => id)).size).toBe(1);
+    expect(events[7]).toEqual({
+      type: 'end',
+      phase: 'enhancement',
+      id: expect.any(Number),
+      method: 'attached',
+      enhancement: 'EnhancementTwo',
+      Enhancement: EnhancementTwo,
+      strategy: 'around',
+      args: [expect.any(Function), 'value'],
+      hook: null,
+      time: expect.any(Number),
+      duration: expect.any(Number),
+      async: true,
+      result: 'base',
+    });
+    expect(events[3]).toEqual(
+      expect.objectContaining({
+        args: ['value'],
+        async: false,
+        result: 'one:value',
+      }),
+    );
+  });
+
+  it('should send the errors of the composed calls to the tracer of an enhancement', () => {
+    // Given
+    const error = new Error('Something went wrong');
+    const tracer = jest.fn();
+    class Enhancement {
+      static get tracer() {
+        return tracer;
+      }
+      attached() {
+        throw error;
+      }
+    }
+    class Base {
+      attached() {}
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    // Then
+    expect(() => sut.attached()).toThrow(error);
+    expect(tracer).toHaveBeenCalledTimes(2);
+    expect(tracer).toHaveBeenLastCalledWith(
+      expect.objectContaining({ type: 'end', phase: 'enhancement', async: false, error }),
+    );
+    expect(() => enhance.setTracer('console')).toThrow(
+      /the tracer should be a function/i,
+    );
+    expect(() =>
+      enhance(
+        class Invalid {
+          static get tracer() {
+            return true;
+          }
+        },
+      )(Base),
+    ).toThrow(/the tracer of 'Invalid' should be a function/i);
+  });
+
+  it('should trace the composed calls with the console and the performance API', () => {
+    // Given
+    const logger = { log: jest.fn(), error: jest.fn() };
+    const perf = { mark: jest.fn(), measure: jest.fn(), clearMarks: jest.fn() };
+    const consoleTracer = enhance.createConsoleTracer(logger);
+    const performanceTracer = enhance.createPerformanceTracer(perf);
+    class Enhancement {
+      static get tracer() {
+        return (event) => {
+          consoleTracer(event);
+          performanceTracer(event);
+        };
+      }
+      attached() {
+        return 'enhancement';
+      }
+    }
+    class Base {
+      attached() {}
+    }
+    let sut = null;
+    let label = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached('value');
+    [[label]] = perf.measure.mock.calls;
+    // Then
+    expect(logger.log).toHaveBeenCalledTimes(2);
+    expect(logger.log).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^\[enhance\] #\d+ Enhancement\.attached \(enhancement\) \d+\.\d{2}ms$/,
+      ),
+      { args: ['value'], result: 'enhancement' },
+    );
+    expect(logger.error).not.toHaveBeenCalled();
+    expect(perf.mark).toHaveBeenCalledTimes(4);
+    expect(perf.measure).toHaveBeenCalledTimes(2);
+    expect(perf.measure).toHaveBeenCalledWith(label, `${label} start`, `${label} end`);
+    expect(perf.clearMarks).toHaveBeenCalledTimes(4);
+    expect(perf.clearMarks).toHaveBeenCalledWith(`${label} start`);
+    expect(perf.clearMarks).toHaveBeenCalledWith(`${label} end`);
+    expect(() => enhance.createPerformanceTracer({})).toThrow(/user timing api/i);
+    expect(() =>
+      enhance.createPerformanceTracer({ mark: jest.fn(), measure: jest.fn() }),
+    ).toThrow(/user timing api/i);
+  });
+
+  it('should allow a "before" enhancement method to replace the arguments', async () => {
+    // Given
+    const activate = jest.fn();
+    const results = jest.fn();
+    class ParseParams {
+      activate(params, routeConfig) {
+        return enhance.replaceArgs({ ...params, id: Number(params.id) }, routeConfig);
+      }
+    }
+    class AddDefaults {
+      activate(params, routeConfig) {
+        return delayExec(() =>
+          enhance.replaceArgs({ page: 1, ...params }, { ...routeConfig, title: 'Item' }),
+        );
+      }
+    }
+    class Base {
+      activate(...args) {
+        activate(...args);
+        return 'activated';
+      }
+      enhancedActivateReturns(values) {
+        results(values.map(({ value }) => value));
+      }
+    }
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(AddDefaults, ParseParams)(Base))();
+    result = await sut.activate({ id: '7' }, { name: 'item' });
+    // Then
+    expect(result).toBe('activated');
+    expect(activate).toHaveBeenCalledTimes(1);
+    expect(activate).toHaveBeenCalledWith(
+      { id: 7, page: 1 },
+      { name: 'item', title: 'Item' },
+    );
+    expect(results).toHaveBeenCalledWith([undefined, undefined]);
+  });
+
+  it('should allow an "around" enhancement method to send new arguments to next', () => {
+    // Given
+    const attached = jest.fn();
+    class Enhancement {
+      static get strategy() {
+        return 'around';
+      }
+      attached(next, value) {
+        return next(value ? value.trim() : 'default');
+      }
+    }
+    class Base {
+      attached(value) {
+        attached(value);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    sut.attached(' value ');
+    sut.attached();
+    // Then
+    expect(attached).toHaveBeenNthCalledWith(1, 'value');
+    expect(attached).toHaveBeenNthCalledWith(2, 'default');
+  });
+
+  it('should throw an error if an enhancement replaces the arguments after the target', () => {
+    // Given
+    const attached = jest.fn();
+    class Enhancement {
+      static get strategy() {
+        return 'after';
+      }
+      attached() {
+        return enhance.replaceArgs('value');
+      }
+    }
+    class Base {
+      attached(...args) {
+        attached(...args);
+      }
+    }
+    let sut = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    // Then
+    expect(() => sut.attached()).toThrow(
+      /the 'attached' method of 'Enhancement' can't replace the arguments/i,
+    );
+    expect(attached).toHaveBeenCalledWith();
+  });
+
+  it('should keep the proxy as the context of the target methods without private members', () => {
+    // Given
+    const calls = [];
+    class Base {
+      constructor() {
+        this.model = null;
+      }
+
+      attached() {
+        calls.push('base');
+      }
+
+      refresh(model) {
+        this.model = model;
+        this.attached();
+        return this;
+      }
+    }
+    class Enhancement {
+      constructor(viewModel) {
+        this._viewModel = viewModel;
+        this.isDirty = false;
+      }
+
+      set model(value) {
+        this.isDirty = true;
+        this._viewModel.model = value;
+      }
+
+      attached() {
+        calls.push('enhancement');
+      }
+    }
+    const model = { name: 'Rosario' };
+    let sut = null;
+    let result = null;
+    // When
+    sut = new (enhance(Enhancement)(Base))();
+    result = sut.refresh(model);
+    // Then
+    expect(result).toBe(sut);
+    expect(calls).toEqual(['enhancement', 'base']);
+    expect(sut.model).toBe(model);
+    expect(sut.isDirty).toBe(true);
+    expect(sut.refresh).toBe(sut.refresh);
+  });
+
+  it('should call the existing handler created callback before the plugin', () => {
+    // Given
+    class LogStatus {}
+    class Home {}
+    class HomeReplacement {}
+    mockMetadata({
+      getOwnMetadata: jest.fn((key) =>
+        key === 'aurelia:resource' ? { elementName: 'home' } : undefined,
+      ),
+    });
+    const previousCallback = jest.fn((handler) => ({ ...handler, fn: HomeReplacement }));
+    const container = {
+      _onHandlerCreated: previousCallback,
+      setHandlerCreatedCallback: jest.fn(),
+    };
+    const handler = { fn: Home, dependencies: [] };
+    let onHandlerCreated = null;
+    let result = null;
+    // When
+    enhance.configure({ container }, { global: [LogStatus] });
+    [[onHandlerCreated]] = container.setHandlerCreatedCallback.mock.calls;
+    result = onHandlerCreated(handler);
+    // Then
+    expect(previousCallback).toHaveBeenCalledTimes(1);
+    expect(previousCallback).toHaveBeenCalledWith(handler);
+    expect(enhance.getOriginalClass(result.fn)).toBe(HomeReplacement);
+    expect(enhance.getEnhancements(result.fn)).toEqual([LogStatus]);
+  });
 });
@@ -0,0 +1,320 @@
+jest.unmock('../src/index');
+jest.unmock('../src/testing');
+const enhance = require('../src/index');
+const testing = require('../src/testing');
+
+describe('aurelia-class-enhancements/testing', () => {
+  const originalGetOwnMetadata = Reflect.getOwnMetadata;
+
+  afterEach(() => {
+    Reflect.getOwnMetadata = originalGetOwnMetadata;
+  });
+
+  it('should create an enhanced instance with the dependencies from a map', () => {
+    // Given
+    class EventAggregator {}
+    class Logger {}
+    class Service {
+      static get inject() {
+        return [Logger];
+      }
+      constructor(logger) {
+        this.logger = logger;
+      }
+    }
+    const ea = { publish: jest.fn() };
+    class Enhancement {
+      static get inject() {
+        return [EventAggregator, Service];
+      }
+      constructor(target, eventAggregator, service) {
+        this.eventAggregator = eventAggregator;
+        this.service = service;
+      }
+    }
+    class Base {
+      static get inject() {
+        return ['config', Service];
+      }
+      constructor(config, service) {
+        this.config = config;
+        this.service = service;
+      }
+    }
+    const Sut = enhance(Enhancement)(Base);
+    let sut = null;
+    let enhancement = null;
+    // When
+    sut = testing.createEnhanced(Sut, {
+      deps: new Map([
+        [EventAggregator, ea],
+        ['config', { id: 'config' }],
+      ]),
+    });
+    enhancement = enhance.getEnhancementInstance(sut, Enhancement);
+    // Then
+    expect(sut.config).toEqual({ id: 'config' });
+    expect(sut.service).toBeInstanceOf(Service);
+    expect(sut.service.logger).toBeInstanceOf(Logger);
+    expect(enhancement.eventAggregator).toBe(ea);
+    expect(enhancement.service).toBe(sut.service);
+  });
+
+  it('should enhance a class and resolve the dependencies of conditional enhancements', () => {
+    // Given
+    class Service {}
+    const service = new Service();
+    class Enhancement {
+      static get inject() {
+        return [Service];
+      }
+      constructor(target, dependency) {
+        this.dependency = dependency;
+      }
+    }
+    class Base {}
+    let sut = null;
+    // When
+    sut = testing.createEnhanced(Base, {
+      deps: new Map([[Service, service]]),
+      enhancements: [enhance.when(() => true, Enhancement)],
+    });
+    // Then
+    expect(enhance.getEnhancementInstance(sut, Enhancement).dependency).toBe(service);
+    expect(() => testing.createEnhanced(Base)).toThrow(/'Base' is not enhanced/i);
+    expect(() =>
+      testing.createEnhanced(
+        class Target {
+          static get inject() {
+            return ['config'];
+          }
+        },
+        { enhancements: [Enhancement] },
+      ),
+    ).toThrow(/there's no value for the dependency 'config'/i);
+  });
+
+  it('should spy on the methods of an enhancement', () => {
+    // Given
+    const error = new Error('Something went wrong');
+    class Enhancement {
+      attached(value) {
+        return `enhancement:${value}`;
+      }
+      detached() {
+        throw error;
+      }
+    }
+    class Base {
+      attached() {}
+    }
+    const sut = testing.createEnhanced(Base, { enhancements: [Enhancement] });
+    let spy = null;
+    // When
+    spy = testing.spyOnEnhancement(sut, Enhancement);
+    sut.attached('one');
+    sut.attached('two');
+    expect(() => sut.detached()).toThrow(error);
+    spy.restore();
+    sut.attached('three');
+    // Then
+    expect(spy.instance).toBe(enhance.getEnhancementInstance(sut, Enhancement));
+    expect(spy.calls).toEqual([
+      { method: 'attached', args: ['one'], result: 'enhancement:one' },
+      { method: 'attached', args: ['two'], result: 'enhancement:two' },
+      { method: 'detached', args: [], error },
+    ]);
+    expect(spy.callsTo('attached')).toEqual([['one'], ['two']]);
+    expect(() => testing.spyOnEnhancement(sut, class Other {})).toThrow(
+      /doesn't have the 'Other' enhancement/i,
+    );
+  });
+
+  it('should resolve inherited dependencies, metadata and factory resolvers', () => {
+    // Given
+    class Logger {}
+    class Http {}
+    class Parent {
+      static get inject() {
+        return [Logger];
+      }
+    }
+    class Child extends Parent {
+      static get inject() {
+        return [Http];
+      }
+      constructor(http, logger) {
+        super();
+        this.http = http;
+        this.logger = logger;
+      }
+    }
+    class AutoInjected {
+      constructor(logger) {
+        this.logger = logger;
+      }
+    }
+    Reflect.getOwnMetadata = jest.fn((key, target) =>
+      key === 'design:paramtypes' && target === AutoInjected ? [Logger] : undefined,
+    );
+    const factoryOf = (key) => ({
+      get: (container) => {
+        const resolver = container.getResolver(key);
+        const fn = resolver && resolver.strategy === 3 ? resolver.state : key;
+        return (...rest) => container.invoke(fn, rest);
+      },
+    });
+    const newInstanceOf = (key) => ({
+      get: (container) => {
+        const instance = container.invoke(key, []);
+        container.registerInstance(key, instance);
+        return instance;
+      },
+    });
+    const childFactory = factoryOf(Child);
+    const newAutoInjected = newInstanceOf(AutoInjected);
+    class Enhancement {
+      static get inject() {
+        return [childFactory, newAutoInjected, AutoInjected];
+      }
+      constructor(target, createChild, newInstance, autoInjected) {
+        this.createChild = createChild;
+        this.newInstance = newInstance;
+        this.autoInjected = autoInjected;
+      }
+    }
+    class Base {}
+    const logger = new Logger();
+    let sut = null;
+    let enhancement = null;
+    let child = null;
+    // When
+    sut = testing.createEnhanced(Base, {
+      enhancements: [Enhancement],
+      deps: new Map([[Logger, logger]]),
+    });
+    enhancement = enhance.getEnhancementInstance(sut, Enhancement);
+    child = enhancement.createChild();
+    // Then
+    expect(child).toBeInstanceOf(Child);
+    expect(child.http).toBeInstanceOf(Http);
+    expect(child.logger).toBe(logger);
+    expect(enhancement.createChild()).not.toBe(child);
+    expect(enhancement.newInstance).toBeInstanceOf(AutoInjected);
+    expect(enhancement.newInstance.logger).toBe(logger);
+    expect(enhancement.autoInjected).toBe(enhancement.newInstance);
+  });
+
+  it('should spy on the functions of the enhancements created from hooks', () => {
+    // Given
+    const hooks = {
+      attached() {
+        return `hook:${this.name}`;
+      },
+    };
+    const TrackAttached = enhance.fromHooks(hooks, { name: 'TrackAttached' });
+    class Base {
+      constructor() {
+        this.name = 'base';
+      }
+      attached() {}
+    }
+    const sut = testing.createEnhanced(Base, { enhancements: [TrackAttached] });
+    let spy = null;
+    let method = null;
+    // When
+    method = enhance.getEnhancementInstance(sut, TrackAttached).attached;
+    spy = testing.spyOnEnhancement(sut, TrackAttached);
+    sut.attached('one');
+    spy.restore();
+    sut.attached('two');
+    // Then
+    expect(spy.calls).toEqual([
+      { method: 'attached', args: ['one'], result: 'hook:base' },
+    ]);
+    expect(spy.instance.attached).toBe(method);
+  });
+
+  it('should run the lifecycle methods of an enhanced instance in order', async () => {
+    // Given
+    const calls = [];
+    class Enhancement {
+      bind(...args) {
+        calls.push(['enhancement:bind', ...args]);
+      }
+      detached() {
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            calls.push(['enhancement:detached']);
+            resolve('detached');
+          }, 1);
+        });
+      }
+    }
+    class Base {
+      attached() {
+        calls.push(['base:attached']);
+        return 'attached';
+      }
+      unbind() {
+        calls.push(['base:unbind']);
+      }
+      binding() {
+        calls.push(['base:binding']);
+      }
+    }
+    const sut = testing.createEnhanced(Base, { enhancements: [Enhancement] });
+    let result = null;
+    // When
+    result = await testing.runLifecycle(sut, { args: { bind: ['context'] } });
+    await testing.runLifecycle(sut, { mode: 'aurelia2' });
+    // Then
+    expect(result).toEqual({
+      bind: undefined,
+      attached: 'attached',
+      detached: 'detached',
+      unbind: undefined,
+    });
+    expect(calls).toEqual([
+      ['enhancement:bind', 'context'],
+      ['base:attached'],
+      ['enhancement:detached'],
+      ['base:unbind'],
+      ['base:binding'],
+      ['base:attached'],
+    ]);
+  });
+
+  it('should run the router hooks of an enhanced instance', async () => {
+    // Given
+    const activate = jest.fn();
+    const deactivate = jest.fn();
+    class Enhancement {
+      canDeactivate() {
+        return Promise.resolve(false);
+      }
+    }
+    class Base {
+      canActivate() {
+        return true;
+      }
+      activate(...args) {
+        activate(...args);
+      }
+      deactivate() {
+        deactivate();
+      }
+    }
+    const sut = testing.createEnhanced(Base, { enhancements: [Enhancement] });
+    let entered = null;
+    let left = null;
+    // When
+    entered = await testing.enterRoute(sut, { args: [{ id: 1 }] });
+    left = await testing.leaveRoute(sut);
+    // Then
+    expect(entered).toBe(true);
+    expect(activate).toHaveBeenCalledWith({ id: 1 });
+    expect(left).toBe(false);
+    expect(deactivate).not.toHaveBeenCalled();
+  });
+});
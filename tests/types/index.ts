@@ -0,0 +1,206 @@
+import enhance = require('../../src');
+
+/**
+ * Makes the compilation fail if the two types are not the same.
+ */
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2
+  ? true
+  : false;
+const expectType = <T extends true>(value: T): T => value;
+
+class ViewModel {
+  name = 'vm';
+  value = 2;
+  attached(): void {}
+}
+
+class LogStatus {
+  static strategy: enhance.EnhancementStrategySetting = 'after';
+  isLogging = true;
+  value = 'enhancement';
+  constructor(private viewModel: ViewModel, private ea: { publish: () => void }) {}
+  attached(): void {
+    this.ea.publish();
+  }
+  log(): string {
+    return this.viewModel.name;
+  }
+}
+
+class Hidden {
+  secret = true;
+  constructor(viewModel: ViewModel) {}
+}
+
+class ForOtherTarget {
+  constructor(target: { other: string }) {}
+}
+
+// The enhancement-only members are merged into the instance type.
+const Enhanced = enhance(LogStatus)(ViewModel);
+const enhanced = new Enhanced();
+expectType<Equals<typeof enhanced.name, string>>(true);
+expectType<Equals<typeof enhanced.isLogging, boolean>>(true);
+expectType<Equals<ReturnType<typeof enhanced.log>, string>>(true);
+// The members of the target take precedence.
+expectType<Equals<typeof enhanced.value, number>>(true);
+
+// The members of an enhancement that is not exposed are not merged.
+const Scoped = enhance(LogStatus, { use: Hidden, expose: false })(ViewModel);
+const scoped = new Scoped();
+expectType<Equals<typeof scoped.isLogging, boolean>>(true);
+// @ts-expect-error
+scoped.secret;
+
+// The options can be used as enhancements.
+const WithOptions = enhance({ use: Hidden, only: ['attached'] })(ViewModel);
+const withOptions = new WithOptions();
+expectType<Equals<typeof withOptions.secret, boolean>>(true);
+
+// The target needs to be compatible with what the enhancements receive.
+// @ts-expect-error
+enhance(ForOtherTarget)(ViewModel);
+
+// It can be used as a decorator.
+@enhance(LogStatus)
+class DecoratedViewModel extends ViewModel {}
+expectType<Equals<InstanceType<typeof DecoratedViewModel>, DecoratedViewModel>>(true);
+
+// The return hooks are typed.
+class WithHooks
+  extends ViewModel
+  implements enhance.EnhancementReturnHooks<'canDeactivate', boolean>
+{
+  enhancedCanDeactivateReturn(value: boolean): void {}
+  enhancedCanDeactivateReturns(results: enhance.EnhancementReturn<boolean>[]): void {}
+  enhancedCanDeactivateReturnFromFormConfirmation: enhance.EnhancementReturnHook<
+    boolean,
+    LogStatus
+  > = (value, enhancement) => enhancement.log();
+}
+class WithInvalidHooks
+  extends ViewModel
+  implements enhance.EnhancementReturnHooks<'canDeactivate', boolean>
+{
+  // @ts-expect-error
+  enhancedCanDeactivateReturn(value: string): void {}
+}
+class WithInvalidHooksFrom
+  extends ViewModel
+  implements enhance.EnhancementReturnHooks<'canDeactivate', boolean, 'confirm'>
+{
+  // @ts-expect-error
+  enhancedCanDeactivateReturnFromConfirm(value: string): void {}
+}
+class KeyedLogStatus extends LogStatus {
+  static returnKey = 'log';
+}
+enhance(KeyedLogStatus)(ViewModel);
+
+// The introspection functions keep the types.
+const logStatus = enhance.getEnhancementInstance(enhanced, LogStatus);
+expectType<Equals<typeof logStatus, LogStatus | null>>(true);
+const context = enhance.getContext<{ logging: boolean }>(enhanced);
+expectType<Equals<typeof context.logging, boolean>>(true);
+enhance.setErrorHandler((error, info) => info.method);
+enhance.setErrorHandler(null);
+expectType<Equals<typeof enhance.strategies.around, 'around'>>(true);
+enhance.setMode(enhance.modes.aurelia2);
+// @ts-expect-error
+enhance.setMode('aurelia3');
+enhance.setLifecycleAliases({ bind: 'binding' });
+
+// The plugin options are typed.
+const frameworkConfig = { container: { setHandlerCreatedCallback: () => {} } };
+enhance.configure(frameworkConfig, {
+  global: [LogStatus, { use: Hidden, type: ['element', 'route'], name: /Page$/ }],
+});
+// @ts-expect-error
+enhance.configure(frameworkConfig, { global: [{ use: Hidden, type: 'service' }] });
+
+// The enhanced classes can be extended.
+class ChildViewModel extends enhance(LogStatus)(ViewModel) {
+  getName(): string {
+    return this.log();
+  }
+}
+const child = new ChildViewModel();
+expectType<Equals<typeof child.isLogging, boolean>>(true);
+expectType<Equals<ReturnType<typeof child.getName>, string>>(true);
+
+// The enhancements can be configured, and keep their members.
+const withMessage = enhance(enhance.withOptions(LogStatus, { message: 'Leave?' }))(
+  ViewModel,
+);
+expectType<Equals<ReturnType<InstanceType<typeof withMessage>['log']>, string>>(true);
+// @ts-expect-error
+enhance.withOptions(LogStatus, 'Leave?');
+
+// The enhancements can be created from factories and hooks.
+const FromFactory = enhance.fromFactory(
+  (viewModel: ViewModel, ea: { publish: () => void }) => ({
+    publish(): void {
+      ea.publish();
+    },
+  }),
+  { name: 'FromFactory', strategy: 'after' },
+);
+const FromHooks = enhance.fromHooks<{ detached(): void }, ViewModel>({
+  detached() {
+    expectType<Equals<typeof this.value, number>>(true);
+  },
+});
+const withFunctional = new (enhance(FromFactory, FromHooks)(ViewModel))();
+expectType<Equals<ReturnType<typeof withFunctional.publish>, void>>(true);
+// @ts-expect-error
+enhance.fromHooks({}, { inject: [] });
+
+// The enhancements can be conditional.
+const isEnabled: enhance.EnhancementCondition<ViewModel> = ({ target }) =>
+  target.value > 1;
+isEnabled.inject = [];
+const conditional = new (enhance(enhance.when(isEnabled, LogStatus))(ViewModel))();
+expectType<Equals<typeof conditional.isLogging, boolean | undefined>>(true);
+// @ts-expect-error
+enhance.when('enabled', LogStatus);
+enhance({ use: LogStatus, lazy: true })(ViewModel);
+
+// The enhancements can be attached, detached and replaced at runtime.
+const attached = enhance.attachEnhancement(enhanced, { use: Hidden }, []);
+expectType<Equals<typeof attached, boolean>>(true);
+const detached = enhance.detachEnhancement(enhanced, Hidden);
+expectType<Equals<typeof detached, boolean>>(true);
+enhance.replaceEnhancement(LogStatus, class extends LogStatus {});
+declare const hot: enhance.HotModule | undefined;
+enhance.acceptHotReload(hot, LogStatus, Hidden);
+
+// The enhancements can track resources to release them automatically.
+const disposer = enhance.getDisposer(enhanced);
+const subscription = disposer.track({ dispose: () => undefined });
+expectType<Equals<typeof subscription, { dispose: () => undefined }>>(true);
+const removeListener = disposer.listen(window, 'resize', () => undefined);
+expectType<Equals<typeof removeListener, () => void>>(true);
+disposer.timeout((value: number) => value, 10, 1);
+// @ts-expect-error
+disposer.interval((value: number) => value, 10, 'one');
+// @ts-expect-error
+disposer.track('subscription');
+enhance.disposeEnhancements(enhanced);
+
+// The enhancements can replace the arguments of the target methods.
+const replacement = enhance.replaceArgs({ id: 1 }, 'route');
+expectType<Equals<typeof replacement.args, [{ id: number }, string]>>(true);
+// @ts-expect-error
+replacement.args = [];
+
+// The composed calls can be traced.
+enhance.setTracer((event) => {
+  expectType<Equals<typeof event.phase, enhance.EnhancementTracePhase>>(true);
+});
+enhance.setTracer(enhance.createConsoleTracer());
+enhance.setTracer(enhance.createPerformanceTracer(performance));
+enhance.setTracer(null);
+// @ts-expect-error
+enhance.setTracer('console');
+
+export { WithHooks, WithInvalidHooks };
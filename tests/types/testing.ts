@@ -0,0 +1,54 @@
+import enhance = require('../../src');
+import testing = require('../../src/testing');
+
+/**
+ * Makes the compilation fail if the two types are not the same.
+ */
+type Equals<A, B> = (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2
+  ? true
+  : false;
+const expectType = <T extends true>(value: T): T => value;
+
+class ViewModel {
+  value = 2;
+  attached(): void {}
+}
+
+class LogStatus {
+  constructor(private viewModel: ViewModel, private ea: { publish: () => void }) {}
+  attached(): void {
+    this.ea.publish();
+  }
+}
+
+class EventAggregator {
+  publish(): void {}
+}
+
+// The instances can be created without Aurelia.
+const viewModel = testing.createEnhanced(enhance(LogStatus)(ViewModel), {
+  deps: new Map([[EventAggregator, new EventAggregator()]]),
+});
+expectType<Equals<typeof viewModel.value, number>>(true);
+testing.createEnhanced(ViewModel, { enhancements: [LogStatus] });
+// @ts-expect-error
+testing.createEnhanced(ViewModel, { deps: [] });
+
+// The enhancements can be spied.
+const spy = testing.spyOnEnhancement(viewModel, LogStatus);
+expectType<Equals<typeof spy.instance, LogStatus>>(true);
+spy.callsTo('attached');
+// @ts-expect-error
+spy.callsTo('detached');
+
+// The lifecycles and the router hooks can be driven.
+const lifecycle: Promise<Record<string, any>> = testing.runLifecycle(viewModel, {
+  mode: 'aurelia2',
+  args: { binding: [] },
+});
+const entered: Promise<boolean> = testing.enterRoute(viewModel, { args: [{ id: 1 }] });
+expectType<Equals<typeof entered, Promise<boolean>>>(true);
+// @ts-expect-error
+testing.leaveRoute(viewModel, { steps: [] });
+
+export { lifecycle };
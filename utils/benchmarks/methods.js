@@ -0,0 +1,122 @@
+/* eslint-disable no-console */
+/**
+ * Measures how long it takes to access and call the methods of an enhanced instance, the
+ * same way a view with a lot of bindings would do it, with and without the cache of the
+ * composed methods.
+ * Run it with `yarn benchmark`.
+ */
+const enhance = require('../../src');
+
+const BINDINGS = 1000;
+const ROUNDS = 200;
+const NANOSECONDS_PER_MILLISECOND = 1e6;
+const LABEL_WIDTH = 40;
+const TIME_WIDTH = 10;
+const TIME_DECIMALS = 2;
+
+/**
+ * A view model with a method the bindings use.
+ */
+class ViewModel {
+  /**
+   * @ignore
+   */
+  constructor() {
+    this.count = 0;
+  }
+  /**
+   * Counts the clicks.
+   */
+  onClick() {
+    this.count++;
+  }
+}
+/**
+ * An enhancement that intercepts the clicks without doing anything, so the results only
+ * show what the library adds.
+ */
+class LogClicks {
+  /**
+   * Does nothing with the click.
+   */
+  onClick() {}
+}
+/**
+ * Another enhancement that does nothing, so the instance has two layers.
+ */
+class TrackClicks {
+  /**
+   * Does nothing with the click.
+   */
+  onClick() {}
+}
+
+/**
+ * Calls a function multiple rounds and logs how long it took.
+ *
+ * @param {string}   label  The description of what's being measured.
+ * @param {Function} fn     The function that accesses the methods.
+ * @returns {number} The time it took, in milliseconds.
+ */
+const measure = (label, fn) => {
+  fn();
+  const start = process.hrtime.bigint();
+  for (let round = 0; round < ROUNDS; round++) {
+    fn();
+  }
+
+  const time = Number(process.hrtime.bigint() - start) / NANOSECONDS_PER_MILLISECOND;
+  const ops = Math.round((BINDINGS * ROUNDS) / (time / 1000));
+  console.log(
+    `${label.padEnd(LABEL_WIDTH)} ` +
+      `${time.toFixed(TIME_DECIMALS).padStart(TIME_WIDTH)}ms ${ops} ops/sec`,
+  );
+
+  return time;
+};
+
+const vm = new ViewModel();
+const enhanced = new (enhance(LogClicks, TrackClicks)(ViewModel))();
+const trackClicks = enhance.getEnhancementInstance(enhanced, TrackClicks);
+const clickHandlers = [() => {}, () => {}];
+/**
+ * Replaces the method of the inner enhancement before each access, so the composed
+ * methods of both layers are created again every time, like they were before the cache.
+ *
+ * @param {number} index  The number of the access.
+ */
+const invalidateCache = (index) => {
+  trackClicks.onClick = clickHandlers[index % clickHandlers.length];
+};
+
+measure('Original: access', () => {
+  for (let i = 0; i < BINDINGS; i++) vm.onClick.toString();
+});
+const uncachedAccess = measure('Enhanced (uncached): access', () => {
+  for (let i = 0; i < BINDINGS; i++) {
+    invalidateCache(i);
+    enhanced.onClick.toString();
+  }
+});
+measure('Original: access and call', () => {
+  for (let i = 0; i < BINDINGS; i++) vm.onClick();
+});
+const uncachedCall = measure('Enhanced (uncached): access and call', () => {
+  for (let i = 0; i < BINDINGS; i++) {
+    invalidateCache(i);
+    enhanced.onClick();
+  }
+});
+delete trackClicks.onClick;
+const cachedAccess = measure('Enhanced: access', () => {
+  for (let i = 0; i < BINDINGS; i++) enhanced.onClick.toString();
+});
+const cachedCall = measure('Enhanced: access and call', () => {
+  for (let i = 0; i < BINDINGS; i++) enhanced.onClick();
+});
+const { onClick } = enhanced;
+console.log(
+  `\nCache gain: ${(uncachedAccess / cachedAccess).toFixed(TIME_DECIMALS)}x on access, ` +
+    `${(uncachedCall / cachedCall).toFixed(TIME_DECIMALS)}x on access and call`,
+);
+console.log(`Stable identity: ${onClick === enhanced.onClick}`);